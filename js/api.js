@@ -6,8 +6,39 @@
 
 const API_TIMEOUT = 15000;
 
-export async function apiLogin(user, passwd) {
-	let body = `user=${encodeURIComponent(user)}&passwd=${encodeURIComponent(passwd)}`;
+// Session expiry: kvmd answers 401/403 once the auth cookie is gone. The app
+// registers a handler that shows the login form and resolves after the user has
+// signed in again; the failed request is then replayed once.
+let _authExpiredHandler = null;
+
+export function setAuthExpiredHandler(handler) {
+	_authExpiredHandler = handler;
+}
+
+function _isAuthError(status) {
+	return status === 401 || status === 403;
+}
+
+// Failed requests carry the HTTP status, for callers that handle some of them
+function _httpError(message, status) {
+	let err = new Error(message);
+	err.status = status;
+	return err;
+}
+
+// makeOptions is called per attempt so each fetch gets a fresh timeout signal
+async function _fetchWithReauth(url, makeOptions) {
+	let resp = await fetch(url, makeOptions());
+	if (_isAuthError(resp.status) && _authExpiredHandler) {
+		await _authExpiredHandler();
+		resp = await fetch(url, makeOptions());
+	}
+	return resp;
+}
+
+// With kvmd two-factor auth enabled, the TOTP code is appended to the password
+export async function apiLogin(user, passwd, code) {
+	let body = `user=${encodeURIComponent(user)}&passwd=${encodeURIComponent(passwd + (code || ""))}`;
 	let resp = await fetch("/api/auth/login", {
 		method: "POST",
 		headers: {"Content-Type": "application/x-www-form-urlencoded"},
@@ -21,13 +52,19 @@ export async function apiLogout() {
 }
 
 export async function apiAuthCheck() {
+	return (await apiAuthStatus()) === 200;
+}
+
+// Raw status of /api/auth/check — lets callers tell 401/403 (session expired)
+// apart from 5xx responses while kvmd itself is restarting.
+export async function apiAuthStatus() {
 	let resp = await fetch("/api/auth/check", {signal: AbortSignal.timeout(API_TIMEOUT)});
-	return resp.status === 200;
+	return resp.status;
 }
 
 export async function apiGet(path) {
-	let resp = await fetch(`/api/${path}`, {signal: AbortSignal.timeout(API_TIMEOUT)});
-	if (!resp.ok) throw new Error(`API ${path}: ${resp.status}`);
+	let resp = await _fetchWithReauth(`/api/${path}`, () => ({signal: AbortSignal.timeout(API_TIMEOUT)}));
+	if (!resp.ok) throw _httpError(`API ${path}: ${resp.status}`, resp.status);
 	return resp.json();
 }
 
@@ -36,23 +73,36 @@ export async function apiPost(path, params) {
 	if (params) {
 		url += "?" + new URLSearchParams(params);
 	}
-	let resp = await fetch(url, {method: "POST", signal: AbortSignal.timeout(API_TIMEOUT)});
-	if (!resp.ok) throw new Error(`API POST ${path}: ${resp.status}`);
+	let resp = await _fetchWithReauth(url, () => ({method: "POST", signal: AbortSignal.timeout(API_TIMEOUT)}));
+	if (!resp.ok) throw _httpError(`API POST ${path}: ${resp.status}`, resp.status);
 	return resp;
 }
 
-export async function apiPostBody(path, body, contentType) {
-	let resp = await fetch(`/api/${path}`, {
+export async function apiPostBody(path, body, contentType, params) {
+	let url = `/api/${path}`;
+	if (params) {
+		url += "?" + new URLSearchParams(params);
+	}
+	let resp = await _fetchWithReauth(url, () => ({
 		method: "POST",
 		headers: {"Content-Type": contentType},
 		body: body,
-	});
-	if (!resp.ok) throw new Error(`API POST ${path}: ${resp.status}`);
+	}));
+	if (!resp.ok) throw _httpError(`API POST ${path}: ${resp.status}`, resp.status);
 	return resp;
 }
 
 // Upload a file to MSD with progress callback
-export function apiMsdUpload(file, onProgress) {
+export async function apiMsdUpload(file, onProgress) {
+	let status = await _msdUpload(file, onProgress);
+	if (_isAuthError(status) && _authExpiredHandler) {
+		await _authExpiredHandler();
+		status = await _msdUpload(file, onProgress);
+	}
+	if (status !== 200) throw new Error(`Upload failed: ${status}`);
+}
+
+function _msdUpload(file, onProgress) {
 	return new Promise((resolve, reject) => {
 		let xhr = new XMLHttpRequest();
 		xhr.open("POST", "/api/msd/write?image=" + encodeURIComponent(file.name));
@@ -61,10 +111,7 @@ export function apiMsdUpload(file, onProgress) {
 				onProgress(ev.loaded / ev.total);
 			}
 		});
-		xhr.onload = () => {
-			if (xhr.status === 200) resolve();
-			else reject(new Error(`Upload failed: ${xhr.status}`));
-		};
+		xhr.onload = () => resolve(xhr.status);
 		xhr.onerror = () => reject(new Error("Upload network error"));
 		xhr.send(file);
 	});
@@ -0,0 +1,109 @@
+"use strict";
+
+// Pointer acceleration for relative mouse mode.
+//
+// The gain applied to a touch delta depends on finger speed (px/ms): slow
+// movements are scaled down for precise positioning, fast flicks cover a large
+// remote screen. Curves are piecewise-linear [speed, gain] points; the result
+// is multiplied by the user's sensitivity. Fractions of a count are carried
+// over to the next move instead of being rounded away.
+
+export const ACCEL_PROFILES = {
+	linear: {
+		name: "Linear (no acceleration)",
+		points: [[0, 1]],
+	},
+	macos: {
+		// Smooth, low gain at rest and a steep ramp for flicks
+		name: "macOS-like",
+		points: [[0, 0.35], [0.25, 0.6], [0.5, 1], [1, 1.7], [2, 2.8], [4, 4]],
+	},
+	windows: {
+		// "Enhance pointer precision": roughly linear segments with a knee
+		name: "Windows (enhance precision)",
+		points: [[0, 0.5], [0.4, 1], [1.2, 2], [3, 3]],
+	},
+	custom: {
+		name: "Custom curve",
+		points: null, // set from the user's curve
+	},
+};
+
+export const DEFAULT_CUSTOM_CURVE = "0:0.5, 0.5:1, 1.5:2, 3:3";
+
+// Parse "speed:gain, speed:gain, ..." into sorted points.
+// Throws with a user-facing message on bad input.
+export function parseCurve(text) {
+	let points = text.split(",").map(p => p.trim()).filter(p => p).map(pair => {
+		let [speed, gain] = pair.split(":").map(v => parseFloat(v));
+		if (!isFinite(speed) || !isFinite(gain) || speed < 0 || gain <= 0) {
+			throw new Error("Invalid curve point: " + pair);
+		}
+		return [speed, gain];
+	});
+	if (points.length === 0) throw new Error("Enter at least one speed:gain point");
+	return points.sort((a, b) => a[0] - b[0]);
+}
+
+// Largest delta one relative mouse report can carry
+const MAX_DELTA = 127;
+
+// Split a delta into report-sized steps, e.g. (300, 0) -> [127,0] [127,0] [46,0]
+export function splitRelative(dx, dy) {
+	let steps = [];
+	while (dx || dy) {
+		let sx = Math.max(-MAX_DELTA, Math.min(MAX_DELTA, dx));
+		let sy = Math.max(-MAX_DELTA, Math.min(MAX_DELTA, dy));
+		steps.push([sx, sy]);
+		dx -= sx;
+		dy -= sy;
+	}
+	return steps;
+}
+
+export class PointerAccelerator {
+	constructor() {
+		this._profile = "linear";
+		this._customPoints = parseCurve(DEFAULT_CUSTOM_CURVE);
+		this._sensitivity = 1;
+		this._remX = 0;
+		this._remY = 0;
+	}
+
+	get profile() { return this._profile; }
+	set profile(id) { this._profile = ACCEL_PROFILES[id] ? id : "linear"; }
+	set customCurve(points) { this._customPoints = points; }
+	set sensitivity(v) { this._sensitivity = v; }
+
+	// Start of a new gesture: don't carry fractions across touches
+	reset() {
+		this._remX = 0;
+		this._remY = 0;
+	}
+
+	// Touch delta (px) over dtMs -> integer remote delta, remainder kept
+	apply(dx, dy, dtMs) {
+		let speed = Math.sqrt(dx * dx + dy * dy) / Math.max(dtMs, 1);
+		let gain = this._gain(speed) * this._sensitivity;
+		let x = dx * gain + this._remX;
+		let y = dy * gain + this._remY;
+		let outX = Math.trunc(x);
+		let outY = Math.trunc(y);
+		this._remX = x - outX;
+		this._remY = y - outY;
+		return {dx: outX, dy: outY};
+	}
+
+	_gain(speed) {
+		let points = this._profile === "custom" ? this._customPoints : ACCEL_PROFILES[this._profile].points;
+		if (speed <= points[0][0]) return points[0][1];
+		for (let i = 1; i < points.length; i++) {
+			let [s1, g1] = points[i];
+			if (speed <= s1) {
+				let [s0, g0] = points[i - 1];
+				return g0 + (g1 - g0) * (speed - s0) / ((s1 - s0) || 1);
+			}
+		}
+		return points[points.length - 1][1];
+	}
+}
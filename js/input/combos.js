@@ -0,0 +1,170 @@
+"use strict";
+
+// Key combo profiles for the on-screen keyboard's combo row.
+//
+// Each profile (usually one per target OS) holds an ordered list of combos
+// {label, keys, group}. Keys are KVMD key names, pressed in order and released
+// in reverse by KeyboardHandler.sendCombo. The editor accepts a friendlier
+// "Ctrl+Alt+Del" notation which parseComboKeys() maps to key names.
+
+import {isValidKey} from "./keyboard.js";
+import {getSetting, setSetting, cloneValue} from "../settings.js";
+
+const DEFAULT_PROFILES = {
+	windows: {
+		name: "Windows",
+		combos: [
+			{label: "Ctrl+Alt+Del", keys: ["ControlLeft", "AltLeft", "Delete"], group: ""},
+			{label: "Alt+Tab", keys: ["AltLeft", "Tab"], group: ""},
+			{label: "Alt+F4", keys: ["AltLeft", "F4"], group: ""},
+			{label: "Win+D", keys: ["MetaLeft", "KeyD"], group: ""},
+			{label: "Win+L", keys: ["MetaLeft", "KeyL"], group: ""},
+			{label: "Win+R", keys: ["MetaLeft", "KeyR"], group: ""},
+			{label: "Ctrl+Alt+BS", keys: ["ControlLeft", "AltLeft", "Backspace"], group: ""},
+		],
+	},
+	macos: {
+		name: "macOS",
+		combos: [
+			{label: "Cmd+Space", keys: ["MetaLeft", "Space"], group: ""},
+			{label: "Cmd+Tab", keys: ["MetaLeft", "Tab"], group: ""},
+			{label: "Cmd+Q", keys: ["MetaLeft", "KeyQ"], group: ""},
+			{label: "Cmd+W", keys: ["MetaLeft", "KeyW"], group: ""},
+			{label: "Force Quit", keys: ["MetaLeft", "AltLeft", "Escape"], group: ""},
+			{label: "Lock", keys: ["ControlLeft", "MetaLeft", "KeyQ"], group: ""},
+			{label: "Screenshot", keys: ["MetaLeft", "ShiftLeft", "Digit4"], group: ""},
+		],
+	},
+	linux: {
+		name: "Linux",
+		combos: [
+			{label: "Ctrl+Alt+Del", keys: ["ControlLeft", "AltLeft", "Delete"], group: ""},
+			{label: "Alt+F2", keys: ["AltLeft", "F2"], group: ""},
+			{label: "Super", keys: ["MetaLeft"], group: ""},
+			{label: "F1", keys: ["ControlLeft", "AltLeft", "F1"], group: "TTY"},
+			{label: "F2", keys: ["ControlLeft", "AltLeft", "F2"], group: "TTY"},
+			{label: "F3", keys: ["ControlLeft", "AltLeft", "F3"], group: "TTY"},
+			{label: "F4", keys: ["ControlLeft", "AltLeft", "F4"], group: "TTY"},
+			{label: "F5", keys: ["ControlLeft", "AltLeft", "F5"], group: "TTY"},
+			{label: "F6", keys: ["ControlLeft", "AltLeft", "F6"], group: "TTY"},
+			{label: "F7", keys: ["ControlLeft", "AltLeft", "F7"], group: "TTY"},
+			{label: "R", keys: ["AltLeft", "PrintScreen", "KeyR"], group: "SysRq"},
+			{label: "E", keys: ["AltLeft", "PrintScreen", "KeyE"], group: "SysRq"},
+			{label: "I", keys: ["AltLeft", "PrintScreen", "KeyI"], group: "SysRq"},
+			{label: "S", keys: ["AltLeft", "PrintScreen", "KeyS"], group: "SysRq"},
+			{label: "U", keys: ["AltLeft", "PrintScreen", "KeyU"], group: "SysRq"},
+			{label: "B", keys: ["AltLeft", "PrintScreen", "KeyB"], group: "SysRq"},
+		],
+	},
+};
+
+// Friendly names accepted by parseComboKeys (case-insensitive)
+const KEY_ALIASES = {
+	ctrl: "ControlLeft", control: "ControlLeft", rctrl: "ControlRight",
+	alt: "AltLeft", option: "AltLeft", opt: "AltLeft", altgr: "AltRight",
+	shift: "ShiftLeft", rshift: "ShiftRight",
+	win: "MetaLeft", cmd: "MetaLeft", command: "MetaLeft", super: "MetaLeft", meta: "MetaLeft",
+	del: "Delete", delete: "Delete", ins: "Insert", insert: "Insert",
+	esc: "Escape", escape: "Escape", enter: "Enter", return: "Enter", tab: "Tab",
+	bs: "Backspace", backspace: "Backspace", space: "Space",
+	prtsc: "PrintScreen", printscreen: "PrintScreen", sysrq: "PrintScreen",
+	pgup: "PageUp", pgdn: "PageDown", home: "Home", end: "End",
+	up: "ArrowUp", down: "ArrowDown", left: "ArrowLeft", right: "ArrowRight",
+	menu: "ContextMenu", pause: "Pause",
+};
+
+// Parse "Ctrl+Alt+Del" or "ControlLeft,AltLeft,Delete" into key names.
+// Throws with a user-facing message on unknown keys.
+export function parseComboKeys(text) {
+	let parts = text.split(/[+,]/).map(p => p.trim()).filter(p => p);
+	if (parts.length === 0) throw new Error("Enter at least one key");
+	return parts.map(part => {
+		if (isValidKey(part)) return part;
+		let lower = part.toLowerCase();
+		if (KEY_ALIASES[lower]) return KEY_ALIASES[lower];
+		if (/^[a-z]$/.test(lower)) return "Key" + lower.toUpperCase();
+		if (/^[0-9]$/.test(lower)) return "Digit" + lower;
+		if (/^f([1-9]|1[0-2])$/.test(lower)) return lower.toUpperCase();
+		throw new Error("Unknown key: " + part);
+	});
+}
+
+export class ComboStore {
+	constructor() {
+		this._profiles = cloneValue(DEFAULT_PROFILES);
+		this._active = "windows";
+		this._onChange = null;
+		let saved = getSetting("comboProfiles");
+		if (saved && saved.profiles && Object.keys(saved.profiles).length) {
+			this._profiles = saved.profiles;
+			this._active = saved.active;
+		}
+		if (!this._profiles[this._active]) this._active = Object.keys(this._profiles)[0];
+	}
+
+	set onChange(cb) { this._onChange = cb; }
+
+	get activeId() { return this._active; }
+	set activeId(id) {
+		if (!this._profiles[id]) return;
+		this._active = id;
+		this._persist();
+	}
+
+	// [{id, name}]
+	profiles() {
+		return Object.entries(this._profiles).map(([id, p]) => ({id: id, name: p.name}));
+	}
+
+	activeCombos() {
+		return this._profiles[this._active].combos.slice();
+	}
+
+	addProfile(name) {
+		let id = "p" + Date.now().toString(36);
+		this._profiles[id] = {name: name, combos: []};
+		this._active = id;
+		this._persist();
+		return id;
+	}
+
+	removeProfile(id) {
+		if (Object.keys(this._profiles).length <= 1) return;
+		delete this._profiles[id];
+		if (this._active === id) this._active = Object.keys(this._profiles)[0];
+		this._persist();
+	}
+
+	resetDefaults() {
+		this._profiles = cloneValue(DEFAULT_PROFILES);
+		this._active = "windows";
+		this._persist();
+	}
+
+	addCombo(combo) {
+		for (let key of combo.keys) {
+			if (!isValidKey(key)) throw new Error("Unknown key: " + key);
+		}
+		this._profiles[this._active].combos.push(combo);
+		this._persist();
+	}
+
+	removeCombo(index) {
+		this._profiles[this._active].combos.splice(index, 1);
+		this._persist();
+	}
+
+	moveCombo(index, delta) {
+		let combos = this._profiles[this._active].combos;
+		let to = index + delta;
+		if (to < 0 || to >= combos.length) return;
+		let [combo] = combos.splice(index, 1);
+		combos.splice(to, 0, combo);
+		this._persist();
+	}
+
+	_persist() {
+		setSetting("comboProfiles", {profiles: this._profiles, active: this._active});
+		if (this._onChange) this._onChange();
+	}
+}
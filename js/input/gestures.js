@@ -0,0 +1,203 @@
+"use strict";
+
+// Touch gesture configuration for MouseHandler.
+//
+// A profile holds gesture timings and, for each mouse mode, the action bound
+// to each gesture. Actions are strings: a click type from GESTURE_ACTIONS or
+// "combo:<key>+<key>..." to send a keyboard combo (KVMD key names).
+
+import {isValidKey} from "./keyboard.js";
+import {getSetting, setSetting, cloneValue} from "../settings.js";
+
+export const GESTURES = {
+	tap: "Single tap",
+	doubleTap: "Double tap",
+	doubleTapHold: "Double tap + hold",
+	longPress: "Long press",
+	twoFingerTap: "Two-finger tap",
+	threeFingerTap: "Three-finger tap",
+};
+
+export const GESTURE_ACTIONS = {
+	none: "Nothing",
+	left: "Left click",
+	right: "Right click",
+	middle: "Middle click",
+	double: "Double click",
+	back: "Back button",
+	forward: "Forward button",
+	drag: "Drag (hold left)",
+	combo: "Key combo...",
+};
+
+// kvmd mouse button names; the back/forward buttons are "up"/"down" there
+export const ACTION_BUTTONS = {
+	left: "left",
+	right: "right",
+	middle: "middle",
+	back: "up",
+	forward: "down",
+};
+
+export const TIMINGS = {
+	tapMaxDuration: {name: "Tap max duration", min: 100, max: 500, step: 10, unit: "ms"},
+	tapMaxDistance: {name: "Tap max movement", min: 4, max: 40, step: 2, unit: "px"},
+	doubleTapWindow: {name: "Double tap window", min: 150, max: 600, step: 25, unit: "ms"},
+	longPressDelay: {name: "Long press delay", min: 250, max: 1500, step: 50, unit: "ms"},
+	dragHoldDelay: {name: "Double tap hold delay", min: 100, max: 600, step: 25, unit: "ms"},
+};
+
+const DEFAULT_TIMINGS = {
+	tapMaxDuration: 200,
+	tapMaxDistance: 10,
+	doubleTapWindow: 300,
+	longPressDelay: 500,
+	dragHoldDelay: 200,
+};
+
+const DEFAULT_PROFILES = {
+	classic: {
+		name: "Classic",
+		timings: DEFAULT_TIMINGS,
+		bindings: {
+			absolute: {
+				tap: "none", doubleTap: "left", doubleTapHold: "drag",
+				longPress: "right", twoFingerTap: "none", threeFingerTap: "none",
+			},
+			relative: {
+				tap: "left", doubleTap: "left", doubleTapHold: "drag",
+				longPress: "right", twoFingerTap: "right", threeFingerTap: "none",
+			},
+		},
+	},
+	tapclick: {
+		name: "Tap to click",
+		timings: DEFAULT_TIMINGS,
+		bindings: {
+			absolute: {
+				tap: "left", doubleTap: "double", doubleTapHold: "drag",
+				longPress: "right", twoFingerTap: "right", threeFingerTap: "middle",
+			},
+			relative: {
+				tap: "left", doubleTap: "double", doubleTapHold: "drag",
+				longPress: "right", twoFingerTap: "right", threeFingerTap: "middle",
+			},
+		},
+	},
+	pressdrag: {
+		name: "Long press to drag",
+		timings: DEFAULT_TIMINGS,
+		bindings: {
+			absolute: {
+				tap: "left", doubleTap: "double", doubleTapHold: "none",
+				longPress: "drag", twoFingerTap: "right", threeFingerTap: "middle",
+			},
+			relative: {
+				tap: "left", doubleTap: "double", doubleTapHold: "none",
+				longPress: "drag", twoFingerTap: "right", threeFingerTap: "middle",
+			},
+		},
+	},
+};
+
+// What MouseHandler uses until a profile is applied
+export const DEFAULT_GESTURE_CONFIG = {
+	timings: DEFAULT_TIMINGS,
+	bindings: DEFAULT_PROFILES.classic.bindings,
+};
+
+// Throws with a user-facing message if the action can't be bound
+export function validateAction(action) {
+	if (action.startsWith("combo:")) {
+		let keys = action.slice(6).split("+");
+		for (let key of keys) {
+			if (!isValidKey(key)) throw new Error("Unknown key: " + key);
+		}
+		return;
+	}
+	if (!GESTURE_ACTIONS[action] || action === "combo") throw new Error("Unknown action: " + action);
+}
+
+export class GestureStore {
+	constructor() {
+		this._profiles = cloneValue(DEFAULT_PROFILES);
+		this._active = "classic";
+		this._onChange = null;
+		let saved = getSetting("gestureProfiles");
+		if (saved && saved.profiles && Object.keys(saved.profiles).length) {
+			this._profiles = saved.profiles;
+			this._active = saved.active;
+		}
+		if (!this._profiles[this._active]) this._active = Object.keys(this._profiles)[0];
+	}
+
+	set onChange(cb) { this._onChange = cb; }
+
+	get activeId() { return this._active; }
+	set activeId(id) {
+		if (!this._profiles[id]) return;
+		this._active = id;
+		this._persist();
+	}
+
+	// [{id, name}]
+	profiles() {
+		return Object.entries(this._profiles).map(([id, p]) => ({id: id, name: p.name}));
+	}
+
+	// {timings, bindings: {absolute, relative}} with defaults filled in
+	active() {
+		let profile = this._profiles[this._active];
+		let classic = DEFAULT_PROFILES.classic.bindings;
+		return {
+			timings: Object.assign({}, DEFAULT_TIMINGS, profile.timings),
+			bindings: {
+				absolute: Object.assign({}, classic.absolute, profile.bindings.absolute),
+				relative: Object.assign({}, classic.relative, profile.bindings.relative),
+			},
+		};
+	}
+
+	// New profiles start as a copy of the active one
+	addProfile(name) {
+		let id = "p" + Date.now().toString(36);
+		this._profiles[id] = Object.assign(this.active(), {name: name});
+		this._active = id;
+		this._persist();
+		return id;
+	}
+
+	removeProfile(id) {
+		if (Object.keys(this._profiles).length <= 1) return;
+		delete this._profiles[id];
+		if (this._active === id) this._active = Object.keys(this._profiles)[0];
+		this._persist();
+	}
+
+	resetDefaults() {
+		this._profiles = cloneValue(DEFAULT_PROFILES);
+		this._active = "classic";
+		this._persist();
+	}
+
+	setBinding(mode, gesture, action) {
+		validateAction(action);
+		let profile = this._profiles[this._active];
+		profile.bindings[mode] = Object.assign({}, profile.bindings[mode], {[gesture]: action});
+		this._persist();
+	}
+
+	setTiming(name, value) {
+		let t = TIMINGS[name];
+		let profile = this._profiles[this._active];
+		profile.timings = Object.assign({}, profile.timings, {
+			[name]: Math.min(Math.max(parseInt(value) || DEFAULT_TIMINGS[name], t.min), t.max),
+		});
+		this._persist();
+	}
+
+	_persist() {
+		setSetting("gestureProfiles", {profiles: this._profiles, active: this._active});
+		if (this._onChange) this._onChange();
+	}
+}
@@ -7,6 +7,8 @@
 // based on the kvmd keymap.csv — the `web_name` column uses the same values
 // as JavaScript event.code. We include the full map for validation.
 
+import {apiPostBody} from "../api.js";
+
 // Complete set of valid KVMD key names derived from keymap.csv (web_name column).
 // These are exactly the JavaScript event.code values that the API accepts.
 const VALID_KEYS = new Set([
@@ -27,68 +29,348 @@ const VALID_KEYS = new Set([
 	"AudioVolumeMute","AudioVolumeUp","AudioVolumeDown",
 ]);
 
+export function isValidKey(key) {
+	return VALID_KEYS.has(key);
+}
+
+// ── Client-side layout translation ─────────────────────────────────
+// Maps Unicode characters to key strokes for a given remote keyboard layout,
+// so text can be typed with plain key events when /api/hid/print is not
+// available. Rows are [code, normal, shift, altgr]; null skips a level and
+// _dead() marks a dead key, which is followed by Space to produce the
+// character itself. Letters a-z are generated; `letters` overrides their codes.
+
+function _dead(ch) {
+	return {dead: ch};
+}
+
+const LAYOUT_COMMON = [
+	["Space", " ", " "],
+	["Enter", "\n"],
+	["Tab", "\t"],
+];
+
+const LAYOUTS = {
+	us: {
+		name: "US",
+		rows: [
+			["Backquote", "`", "~"],
+			["Digit1", "1", "!"], ["Digit2", "2", "@"], ["Digit3", "3", "#"], ["Digit4", "4", "$"],
+			["Digit5", "5", "%"], ["Digit6", "6", "^"], ["Digit7", "7", "&"], ["Digit8", "8", "*"],
+			["Digit9", "9", "("], ["Digit0", "0", ")"], ["Minus", "-", "_"], ["Equal", "=", "+"],
+			["BracketLeft", "[", "{"], ["BracketRight", "]", "}"], ["Backslash", "\\", "|"],
+			["Semicolon", ";", ":"], ["Quote", "'", "\""],
+			["Comma", ",", "<"], ["Period", ".", ">"], ["Slash", "/", "?"],
+		],
+	},
+	uk: {
+		name: "UK",
+		rows: [
+			["Backquote", "`", "¬", "¦"],
+			["Digit1", "1", "!"], ["Digit2", "2", "\""], ["Digit3", "3", "£"], ["Digit4", "4", "$", "€"],
+			["Digit5", "5", "%"], ["Digit6", "6", "^"], ["Digit7", "7", "&"], ["Digit8", "8", "*"],
+			["Digit9", "9", "("], ["Digit0", "0", ")"], ["Minus", "-", "_"], ["Equal", "=", "+"],
+			["BracketLeft", "[", "{"], ["BracketRight", "]", "}"],
+			["Semicolon", ";", ":"], ["Quote", "'", "@"], ["Backslash", "#", "~"],
+			["IntlBackslash", "\\", "|"],
+			["Comma", ",", "<"], ["Period", ".", ">"], ["Slash", "/", "?"],
+		],
+	},
+	de: {
+		name: "German (QWERTZ)",
+		letters: {y: "KeyZ", z: "KeyY"},
+		rows: [
+			["Backquote", _dead("^"), "°"],
+			["Digit1", "1", "!"], ["Digit2", "2", "\"", "²"], ["Digit3", "3", "§", "³"], ["Digit4", "4", "$"],
+			["Digit5", "5", "%"], ["Digit6", "6", "&"], ["Digit7", "7", "/", "{"], ["Digit8", "8", "(", "["],
+			["Digit9", "9", ")", "]"], ["Digit0", "0", "=", "}"], ["Minus", "ß", "?", "\\"],
+			["Equal", _dead("´"), _dead("`")],
+			["BracketLeft", "ü", "Ü"], ["BracketRight", "+", "*", "~"],
+			["Semicolon", "ö", "Ö"], ["Quote", "ä", "Ä"], ["Backslash", "#", "'"],
+			["IntlBackslash", "<", ">", "|"],
+			["Comma", ",", ";"], ["Period", ".", ":"], ["Slash", "-", "_"],
+			["KeyQ", null, null, "@"], ["KeyE", null, null, "€"], ["KeyM", null, null, "µ"],
+		],
+	},
+	fr: {
+		// AltGr ~ and ` are taken as direct keys (Linux); Windows treats them as dead keys
+		name: "French (AZERTY)",
+		letters: {a: "KeyQ", q: "KeyA", z: "KeyW", w: "KeyZ", m: "Semicolon"},
+		rows: [
+			["Backquote", "²"],
+			["Digit1", "&", "1"], ["Digit2", "é", "2", "~"], ["Digit3", "\"", "3", "#"], ["Digit4", "'", "4", "{"],
+			["Digit5", "(", "5", "["], ["Digit6", "-", "6", "|"], ["Digit7", "è", "7", "`"], ["Digit8", "_", "8", "\\"],
+			["Digit9", "ç", "9", "^"], ["Digit0", "à", "0", "@"], ["Minus", ")", "°", "]"], ["Equal", "=", "+", "}"],
+			["BracketLeft", _dead("^"), _dead("¨")], ["BracketRight", "$", "£", "¤"],
+			["Quote", "ù", "%"], ["Backslash", "*", "µ"],
+			["IntlBackslash", "<", ">"],
+			["KeyM", ",", "?"], ["Comma", ";", "."], ["Period", ":", "/"], ["Slash", "!", "§"],
+			["KeyE", null, null, "€"],
+		],
+	},
+	nordic: {
+		name: "Nordic (SE/FI)",
+		rows: [
+			["Backquote", "§", "½"],
+			["Digit1", "1", "!"], ["Digit2", "2", "\"", "@"], ["Digit3", "3", "#", "£"], ["Digit4", "4", "¤", "$"],
+			["Digit5", "5", "%", "€"], ["Digit6", "6", "&"], ["Digit7", "7", "/", "{"], ["Digit8", "8", "(", "["],
+			["Digit9", "9", ")", "]"], ["Digit0", "0", "=", "}"], ["Minus", "+", "?", "\\"],
+			["Equal", _dead("´"), _dead("`")],
+			["BracketLeft", "å", "Å"], ["BracketRight", _dead("¨"), _dead("^"), _dead("~")],
+			["Semicolon", "ö", "Ö"], ["Quote", "ä", "Ä"], ["Backslash", "'", "*"],
+			["IntlBackslash", "<", ">", "|"],
+			["Comma", ",", ";"], ["Period", ".", ":"], ["Slash", "-", "_"],
+			["KeyE", null, null, "€"], ["KeyM", null, null, "µ"],
+		],
+	},
+};
+
+// Layout id → display name, for settings UIs
+export const TEXT_LAYOUTS = Object.fromEntries(Object.entries(LAYOUTS).map(([id, l]) => [id, l.name]));
+
+const _charMaps = {};
+
+// Build (and cache) char → {code, shift, altgr, dead} for a layout.
+// The first mapping found for a character wins.
+function _getCharMap(layoutId) {
+	if (_charMaps[layoutId]) return _charMaps[layoutId];
+	let layout = LAYOUTS[layoutId] || LAYOUTS.us;
+	let map = new Map();
+	let add = (ch, code, shift, altgr) => {
+		let dead = false;
+		if (ch && typeof ch === "object") {
+			dead = true;
+			ch = ch.dead;
+		}
+		if (ch && !map.has(ch)) map.set(ch, {code: code, shift: shift, altgr: altgr, dead: dead});
+	};
+
+	for (let i = 0; i < 26; i++) {
+		let lower = String.fromCharCode(97 + i);
+		let code = (layout.letters && layout.letters[lower]) || "Key" + lower.toUpperCase();
+		add(lower, code, false, false);
+		add(lower.toUpperCase(), code, true, false);
+	}
+	for (let [code, normal, shift, altgr] of LAYOUT_COMMON.concat(layout.rows)) {
+		add(normal, code, false, false);
+		add(shift, code, true, false);
+		add(altgr, code, false, true);
+	}
+	_charMaps[layoutId] = map;
+	return map;
+}
+
+// Translate text into key strokes for the layout. Characters the layout
+// can't produce are returned in `missing` and left out of `strokes`.
+export function translateText(text, layoutId) {
+	let map = _getCharMap(layoutId);
+	let strokes = [];
+	let missing = [];
+	for (let ch of text.replace(/\r\n?/g, "\n")) {
+		let stroke = map.get(ch);
+		if (stroke) {
+			strokes.push(stroke);
+		} else {
+			missing.push(ch);
+		}
+	}
+	return {strokes: strokes, missing: missing};
+}
+
+const KEY_STROKE_DELAY = 15; // ms between typed characters in key-event mode
+
+const ESCAPE_DOUBLE_TAP_MS = 400; // window for the host-escape double tap
+
+// Keys a soft keyboard doesn't send, so seeing one in a text field still
+// means a hardware keyboard is attached
+const HARDWARE_ONLY_KEYS = new Set([
+	"Escape", "Tab", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight",
+	"ControlLeft", "ControlRight", "AltLeft", "AltRight", "MetaLeft", "MetaRight",
+	"F1", "F2", "F3", "F4", "F5", "F6", "F7", "F8", "F9", "F10", "F11", "F12",
+]);
+
+// Slow pastes are sent to /api/hid/print in chunks so progress can be reported
+// and a pause or abort takes effect after at most one chunk.
+const PASTE_CHUNK_SIZE = 32;
+
+// kvmd answers these when /api/hid/print doesn't exist or is turned off; only
+// then is text switched to key events. Other failures (timeouts, dropped
+// connections, 5xx) may have printed part of the text and go to the caller.
+const PRINT_UNSUPPORTED = [404, 405, 501];
+
 export class KeyboardHandler {
 	constructor(ws) {
 		this._ws = ws;
 		this._captureEnabled = false;
 		this._activeModifiers = new Set();
+		this._pressedKeys = new Set(); // every key currently held down on the remote
 		this._physicalKeyboardDetected = false;
+		this._onPhysicalKeyboard = null;
 		this._onCaptureChange = null;
+		this._onKeyEvent = null;
+		this._leds = {caps: false, num: false, scroll: false};
+		this._capsAutoCorrect = true;
+		this._hidOnline = true;
+		this._pasteKeymap = ""; // "" = kvmd's default keymap
+		this._onPasteProgress = null;
+		this._slowJob = null; // {aborted} of the slow paste in progress
+		this._slowTypePaused = false;
+		this._resumeSlowType = null;
+
+		// Text input method: "print" (kvmd /api/hid/print) or "keys" (WebSocket
+		// key events translated with the client-side layout tables)
+		this._textMode = "print";
+		this._textLayout = "us";
+		this._printUnavailable = false;
+		this._typeQueue = Promise.resolve();
+
+		// Physical keyboard: host-escape chord and shortcut remapping
+		this._escapeKey = "ControlRight"; // "" = off
+		this._escapeLastTap = 0;
+		this._escapeClean = false; // no other key pressed since the escape key went down
+		this._remaps = [];
+		this._physicalHeld = new Set();
+		this._suppressed = new Set(); // physical keys whose key-up must not be forwarded
+
+		// Capture is suspended while the drawer or a text field has focus and
+		// comes back once nothing holds it
+		this._suspendReasons = new Set();
+		this._resumeCapture = false;
 
 		// Physical keyboard event handlers
 		this._onKeyDown = this._handleKeyDown.bind(this);
 		this._onKeyUp = this._handleKeyUp.bind(this);
+		this._onFocusIn = (ev) => {
+			if (_isTextField(ev.target)) this.suspendCapture("input");
+		};
+		this._onFocusOut = (ev) => {
+			if (_isTextField(ev.target)) this.resumeCapture("input");
+		};
 
 		document.addEventListener("keydown", this._onKeyDown);
 		document.addEventListener("keyup", this._onKeyUp);
+		document.addEventListener("focusin", this._onFocusIn);
+		document.addEventListener("focusout", this._onFocusOut);
 	}
 
 	set onCaptureChange(cb) { this._onCaptureChange = cb; }
+	// cb() once per session, the first time a hardware keyboard is seen
+	set onPhysicalKeyboard(cb) { this._onPhysicalKeyboard = cb; }
+	// cb(key, state) for key events from the on-screen and captured keyboards
+	set onKeyEvent(cb) { this._onKeyEvent = cb; }
 	get captureEnabled() { return this._captureEnabled; }
 	get physicalKeyboardDetected() { return this._physicalKeyboardDetected; }
+	get leds() { return this._leds; }
+	set leds(v) { this._leds = {caps: !!v.caps, num: !!v.num, scroll: !!v.scroll}; }
+	// Cleared while kvmd reports the keyboard offline — new presses are suppressed.
+	// Everything held is let go then, so no key is stuck when it comes back.
+	set hidOnline(v) {
+		this._hidOnline = !!v;
+		if (!this._hidOnline) this.releaseAll();
+	}
+	get hidOnline() { return this._hidOnline; }
+	// Target keyboard layout for /api/hid/print (a kvmd keymap name, e.g. "de")
+	get pasteKeymap() { return this._pasteKeymap; }
+	set pasteKeymap(v) { this._pasteKeymap = v || ""; }
+	// cb(sent, total) during sendTextSlow, cb(null) when it finishes or is aborted
+	set onPasteProgress(cb) { this._onPasteProgress = cb; }
+	get textMode() { return this._textMode; }
+	set textMode(v) { this._textMode = v === "keys" ? "keys" : "print"; }
+	// Remote layout for key-event typing (a TEXT_LAYOUTS id)
+	get textLayout() { return this._textLayout; }
+	set textLayout(v) { this._textLayout = LAYOUTS[v] ? v : "us"; }
+	get capsAutoCorrect() { return this._capsAutoCorrect; }
+	set capsAutoCorrect(v) { this._capsAutoCorrect = !!v; }
+	get escapeKey() { return this._escapeKey; }
+	set escapeKey(v) { this._escapeKey = VALID_KEYS.has(v) ? v : ""; }
+	// [{from, to}] key-name chords, see input/shortcuts.js
+	set remaps(list) { this._remaps = list.slice(); }
 
 	setCaptureEnabled(enabled) {
 		this._captureEnabled = enabled;
 		if (!enabled) {
 			this.releaseAll();
 		}
+		// Keyboard Lock API (Chromium, fullscreen only) lets system shortcuts
+		// like Alt+Tab and Escape reach the page while capturing
+		if (navigator.keyboard && navigator.keyboard.lock) {
+			if (enabled) {
+				navigator.keyboard.lock().catch(() => {});
+			} else {
+				navigator.keyboard.unlock();
+			}
+		}
 		if (this._onCaptureChange) this._onCaptureChange(enabled);
 	}
 
 	toggleCapture() {
+		// An explicit choice overrides a pending automatic resume
+		this._resumeCapture = false;
 		this.setCaptureEnabled(!this._captureEnabled);
 	}
 
+	suspendCapture(reason) {
+		this._suspendReasons.add(reason);
+		if (this._captureEnabled) {
+			this._resumeCapture = true;
+			this.setCaptureEnabled(false);
+		}
+	}
+
+	resumeCapture(reason) {
+		this._suspendReasons.delete(reason);
+		if (this._suspendReasons.size === 0 && this._resumeCapture) {
+			this._resumeCapture = false;
+			this.setCaptureEnabled(true);
+		}
+	}
+
 	// Send a single key press+release
+	// Releases always go through: they only clear state if the HID is offline
 	sendKey(key, state) {
+		if (!this._hidOnline && state) return;
 		if (VALID_KEYS.has(key)) {
-			this._ws.sendKey(key, state);
+			this._sendKeyEvent(key, state);
 		}
 	}
 
+	// Every user-originated key event goes through here so it can be observed
+	// (e.g. by the macro recorder)
+	_sendKeyEvent(key, state) {
+		if (state) {
+			this._pressedKeys.add(key);
+		} else {
+			this._pressedKeys.delete(key);
+		}
+		this._ws.sendKey(key, state);
+		if (this._onKeyEvent) this._onKeyEvent(key, state);
+	}
+
 	// Send a key combo (e.g., Ctrl+Alt+Del)
 	sendCombo(keys) {
+		if (!this._hidOnline) return;
 		// Press all keys in order, then release in reverse
 		for (let key of keys) {
-			this._ws.sendKey(key, true);
+			this._sendKeyEvent(key, true);
 		}
 		// Small delay then release
 		setTimeout(() => {
 			for (let i = keys.length - 1; i >= 0; i--) {
-				this._ws.sendKey(keys[i], false);
+				this._sendKeyEvent(keys[i], false);
 			}
 		}, 50);
 	}
 
 	// Toggle a modifier key on/off (for on-screen keyboard)
 	toggleModifier(key) {
+		if (!this._hidOnline) return this._activeModifiers.has(key);
 		if (this._activeModifiers.has(key)) {
 			this._activeModifiers.delete(key);
-			this._ws.sendKey(key, false);
+			this._sendKeyEvent(key, false);
 			return false;
 		} else {
 			this._activeModifiers.add(key);
-			this._ws.sendKey(key, true);
+			this._sendKeyEvent(key, true);
 			return true;
 		}
 	}
@@ -97,82 +379,257 @@ export class KeyboardHandler {
 		return this._activeModifiers.has(key);
 	}
 
+	get pressedKeys() { return [...this._pressedKeys]; }
+
+	// Release every held key and latched modifier. Safe to call at any time:
+	// with the socket closed the releases are dropped and only state is reset.
+	// Physical key tracking is dropped too: key-ups for keys held now may never
+	// arrive (focus moved away), so none of them may be swallowed or chorded later.
 	releaseAll() {
-		for (let key of this._activeModifiers) {
+		for (let key of new Set([...this._pressedKeys, ...this._activeModifiers])) {
 			this._ws.sendKey(key, false);
 		}
+		this._pressedKeys.clear();
 		this._activeModifiers.clear();
+		this._physicalHeld.clear();
+		this._suppressed.clear();
 	}
 
-	// Send text all at once via /api/hid/print (fast, may drop chars on slow HID)
-	async sendText(text) {
-		if (!text) return;
+	// Typed text with Caps Lock on comes out with inverted case. When enabled,
+	// tap CapsLock off first and give the remote a moment to apply it.
+	async _ensureCapsLockOff() {
+		if (!this._capsAutoCorrect || !this._leds.caps) return;
+		this._ws.sendKey("CapsLock", true);
+		this._ws.sendKey("CapsLock", false);
+		this._leds.caps = false;
+		await new Promise(r => setTimeout(r, 100));
+	}
+
+	_printParams(extra) {
+		let params = {limit: 0};
+		if (this._pasteKeymap) params.keymap = this._pasteKeymap;
+		return Object.assign(params, extra);
+	}
+
+	_useKeyEvents() {
+		return this._textMode === "keys" || this._printUnavailable;
+	}
+
+	// Send text all at once via /api/hid/print (fast, may drop chars on slow HID).
+	// In key-event mode, or once kvmd turned out not to support print, types it
+	// with key events instead; setting job.aborted (if given) stops that typing.
+	async sendText(text, job = null) {
+		if (!text || !this._hidOnline) return;
+		await this._ensureCapsLockOff();
+		if (this._useKeyEvents()) {
+			await this.typeText(text, KEY_STROKE_DELAY, job);
+			return;
+		}
 		try {
-			await fetch("/api/hid/print", {
-				method: "POST",
-				headers: {"Content-Type": "application/octet-stream"},
-				body: text,
-			});
+			await apiPostBody("hid/print", text, "application/octet-stream", this._printParams());
 		} catch (e) {
-			console.error("Failed to send text:", e);
+			if (!PRINT_UNSUPPORTED.includes(e.status)) throw e;
+			console.warn("hid/print not supported, falling back to key events:", e);
+			this._printUnavailable = true;
+			await this.typeText(text, KEY_STROKE_DELAY, job);
 		}
 	}
 
-	// Send text character by character with a delay between each.
-	// Prevents the remote HID from being overwhelmed and dropping characters.
-	async sendTextSlow(text, charDelayMs = 50) {
-		if (!text) return;
-		this._abortSlowType = false;
-		for (let i = 0; i < text.length; i++) {
-			if (this._abortSlowType) break;
-			try {
-				await fetch("/api/hid/print", {
-					method: "POST",
-					headers: {"Content-Type": "application/octet-stream"},
-					body: text[i],
-				});
-			} catch (e) {
-				console.error("Failed to send character:", e);
-				break;
+	// Type text with WebSocket key events using the selected remote layout.
+	// Calls are serialized so quick successive inputs keep their order.
+	// Resolves with the characters the layout can't type once done.
+	typeText(text, strokeDelayMs = KEY_STROKE_DELAY, job = null) {
+		let {strokes, missing} = translateText(text, this._textLayout);
+		if (missing.length) {
+			console.warn("Not typeable on layout " + this._textLayout + ":", missing.join(""));
+		}
+		this._typeQueue = this._typeQueue.then(() => this._typeStrokes(strokes, strokeDelayMs, job));
+		return this._typeQueue.then(() => missing);
+	}
+
+	async _typeStrokes(strokes, strokeDelayMs, job) {
+		for (let stroke of strokes) {
+			if (!this._hidOnline || (job && job.aborted)) return;
+			let mods = [];
+			if (stroke.shift) mods.push("ShiftLeft");
+			if (stroke.altgr) mods.push("AltRight");
+			mods.forEach(m => this._ws.sendKey(m, true));
+			this._ws.sendKey(stroke.code, true);
+			this._ws.sendKey(stroke.code, false);
+			mods.reverse().forEach(m => this._ws.sendKey(m, false));
+			if (stroke.dead) {
+				this._ws.sendKey("Space", true);
+				this._ws.sendKey("Space", false);
 			}
-			if (i < text.length - 1 && !this._abortSlowType) {
-				await new Promise(r => setTimeout(r, charDelayMs));
+			await new Promise(r => setTimeout(r, strokeDelayMs));
+		}
+	}
+
+	// Send text using kvmd's slow print mode, which types with a delay between
+	// keystrokes on the server side. Prevents the remote HID from being
+	// overwhelmed and dropping characters. In key-event mode each chunk is
+	// typed client-side with the same per-character delay.
+	// Resolves with {complete, missing}: whether all of it was sent, and the
+	// characters key events couldn't type on the remote layout. A failed print
+	// request rejects; the remote may have typed part of that chunk.
+	async sendTextSlow(text, charDelayMs = 50) {
+		if (!text || !this._hidOnline) return {complete: false, missing: []};
+		let job = {aborted: false};
+		this._slowJob = job;
+		this._slowTypePaused = false;
+		let chars = Array.from(text); // don't split surrogate pairs across chunks
+		let sent = 0;
+		let missing = [];
+		try {
+			await this._ensureCapsLockOff();
+			let params = this._printParams({slow: 1, delay: charDelayMs / 1000});
+			this._notifyPasteProgress(0, chars.length);
+			while (sent < chars.length && !job.aborted) {
+				if (this._slowTypePaused) {
+					await new Promise(r => this._resumeSlowType = r);
+					continue;
+				}
+				let chunk = chars.slice(sent, sent + PASTE_CHUNK_SIZE).join("");
+				if (this._useKeyEvents()) {
+					missing.push(...await this.typeText(chunk, charDelayMs, job));
+				} else {
+					try {
+						await apiPostBody("hid/print", chunk, "application/octet-stream", params);
+					} catch (e) {
+						if (!PRINT_UNSUPPORTED.includes(e.status)) throw e;
+						// Nothing of the chunk was printed: type it again with key events
+						console.warn("hid/print not supported, falling back to key events:", e);
+						this._printUnavailable = true;
+						continue;
+					}
+				}
+				sent = Math.min(chars.length, sent + PASTE_CHUNK_SIZE);
+				this._notifyPasteProgress(sent, chars.length);
 			}
+		} finally {
+			this._notifyPasteProgress(null);
+			if (this._slowJob === job) this._slowJob = null;
 		}
+		return {complete: sent === chars.length, missing: missing};
 	}
 
-	// Cancel any in-progress slow typing
+	_notifyPasteProgress(sent, total) {
+		if (this._onPasteProgress) this._onPasteProgress(sent, total);
+	}
+
+	// Cancel the slow paste in progress, if any
 	abortSlowType() {
-		this._abortSlowType = true;
+		if (this._slowJob) this._slowJob.aborted = true;
+		this.resumeSlowType();
+	}
+
+	// Hold slow typing after the chunk in flight until resumed
+	pauseSlowType() {
+		this._slowTypePaused = true;
+	}
+
+	resumeSlowType() {
+		this._slowTypePaused = false;
+		if (this._resumeSlowType) {
+			this._resumeSlowType();
+			this._resumeSlowType = null;
+		}
 	}
 
 	// Physical keyboard handlers
 	_handleKeyDown(ev) {
+		this._detectPhysicalKeyboard(ev);
+		if (_isTextField(ev.target)) return;
+		let code = this._fixCode(ev);
+		if (!ev.repeat) this._trackEscapeChord(code, true);
 		if (!this._captureEnabled) return;
-		if (ev.target.tagName === "INPUT" || ev.target.tagName === "TEXTAREA" || ev.target.tagName === "SELECT") {
-			return;
-		}
-		this._physicalKeyboardDetected = true;
 		ev.preventDefault();
-		if (ev.repeat) return;
+		if (ev.repeat || !this._hidOnline) return;
 
-		let code = this._fixCode(ev);
 		if (VALID_KEYS.has(code)) {
-			this._ws.sendKey(code, true);
+			this._physicalHeld.add(code);
+			let remap = _findRemap(this._remaps, this._physicalHeld, code);
+			if (remap) {
+				this._sendRemapped(remap, code);
+			} else {
+				this._sendKeyEvent(code, true);
+			}
 		}
 	}
 
 	_handleKeyUp(ev) {
-		if (!this._captureEnabled) return;
-		if (ev.target.tagName === "INPUT" || ev.target.tagName === "TEXTAREA" || ev.target.tagName === "SELECT") {
+		if (_isTextField(ev.target)) return;
+		let code = this._fixCode(ev);
+		if (this._captureEnabled) {
+			ev.preventDefault();
+			this._physicalHeld.delete(code);
+			if (VALID_KEYS.has(code) && !this._suppressed.delete(code)) {
+				this._sendKeyEvent(code, false);
+			}
+		}
+		// After forwarding, so the remote sees the escape key released
+		this._trackEscapeChord(code, false);
+	}
+
+	// Soft keyboards report composition / "Unidentified" keys without a
+	// physical code and only type into text fields; anything else is hardware
+	_detectPhysicalKeyboard(ev) {
+		if (this._physicalKeyboardDetected) return;
+		if (ev.isComposing || ev.keyCode === 229 || !ev.code || ev.code === "Unidentified") return;
+		if (_isTextField(ev.target) && !HARDWARE_ONLY_KEYS.has(ev.code)) return;
+		this._physicalKeyboardDetected = true;
+		if (this._onPhysicalKeyboard) this._onPhysicalKeyboard();
+	}
+
+	// A clean tap (no other key in between) of the escape key, twice within
+	// ESCAPE_DOUBLE_TAP_MS, toggles capture — the way out without touching the screen
+	_trackEscapeChord(code, down) {
+		if (!this._escapeKey) return;
+		if (code !== this._escapeKey) {
+			if (down) {
+				this._escapeClean = false;
+				this._escapeLastTap = 0;
+			}
 			return;
 		}
-		ev.preventDefault();
+		if (down) {
+			this._escapeClean = true;
+			return;
+		}
+		if (!this._escapeClean) return;
+		this._escapeClean = false;
+		let now = Date.now();
+		if (now - this._escapeLastTap < ESCAPE_DOUBLE_TAP_MS) {
+			this._escapeLastTap = 0;
+			this.toggleCapture();
+		} else {
+			this._escapeLastTap = now;
+		}
+	}
 
-		let code = this._fixCode(ev);
-		if (VALID_KEYS.has(code)) {
-			this._ws.sendKey(code, false);
+	// Send remap.to instead of the physical chord. Modifiers the target should
+	// not see are released and stay suppressed until physically released;
+	// modifiers only in `to` are tapped around the main key. Modifiers common
+	// to both stay held, so e.g. Alt+Tab window switchers keep working.
+	_sendRemapped(remap, code) {
+		let toMods = remap.to.slice(0, -1);
+		let toKey = remap.to[remap.to.length - 1];
+		let toFamilies = toMods.map(_modifierFamily);
+
+		for (let key of this._physicalHeld) {
+			if (key !== code && this._pressedKeys.has(key) && !toFamilies.includes(_modifierFamily(key))) {
+				this._sendKeyEvent(key, false);
+				this._suppressed.add(key);
+			}
 		}
+		let heldFamilies = [...this._pressedKeys].map(_modifierFamily);
+		let extra = toMods.filter(key => !heldFamilies.includes(_modifierFamily(key)));
+
+		for (let key of extra) this._sendKeyEvent(key, true);
+		this._sendKeyEvent(toKey, true);
+		this._sendKeyEvent(toKey, false);
+		for (let key of extra.reverse()) this._sendKeyEvent(key, false);
+		this._suppressed.add(code);
 	}
 
 	// Keyboard quirk fixes from the desktop keyboard.js
@@ -190,6 +647,29 @@ export class KeyboardHandler {
 	destroy() {
 		document.removeEventListener("keydown", this._onKeyDown);
 		document.removeEventListener("keyup", this._onKeyUp);
+		document.removeEventListener("focusin", this._onFocusIn);
+		document.removeEventListener("focusout", this._onFocusOut);
 		this.releaseAll();
 	}
 }
+
+function _isTextField(el) {
+	return el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT";
+}
+
+// "ControlRight" -> "Control"; non-modifiers are returned unchanged
+function _modifierFamily(key) {
+	return key.replace(/(Left|Right)$/, "");
+}
+
+// The remap whose `from` chord matches the held keys: same main key and the
+// same modifiers, ignoring left/right
+function _findRemap(remaps, held, key) {
+	let heldMods = [...held].filter(k => k !== key).map(_modifierFamily).sort().join("+");
+	for (let remap of remaps) {
+		let from = remap.from;
+		if (from[from.length - 1] !== key) continue;
+		if (from.slice(0, -1).map(_modifierFamily).sort().join("+") === heldMods) return remap;
+	}
+	return null;
+}
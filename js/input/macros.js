@@ -0,0 +1,232 @@
+"use strict";
+
+// Keyboard macros — storage, recording and playback.
+//
+// A macro is {id, name, pinned, steps}. Step types:
+//   {type: "key", key, repeat}      tap a key (press + release) `repeat` times
+//   {type: "keydown", key}          press and hold (recorded macros)
+//   {type: "keyup", key}            release
+//   {type: "text", text}            type text via KeyboardHandler.sendText
+//   {type: "delay", ms}             wait
+//   {type: "click", button}         mouse click ("left" | "right" | "middle")
+// Pinned macros are shown as buttons on the on-screen keyboard panel.
+
+import {isValidKey} from "./keyboard.js";
+import {getSetting, setSetting} from "../settings.js";
+
+const MIN_RECORDED_DELAY = 30; // ms — shorter gaps between recorded events are dropped
+const TAP_HOLD = 30; // ms — hold time for "key" taps and clicks
+const MOUSE_BUTTONS = ["left", "right", "middle"];
+
+export const MACRO_STEP_TYPES = ["key", "keydown", "keyup", "text", "delay", "click"];
+
+// Returns an error string for an invalid step, or null
+export function validateMacroStep(step) {
+	switch (step.type) {
+		case "key":
+		case "keydown":
+		case "keyup":
+			if (!isValidKey(step.key)) return "Unknown key: " + (step.key || "(empty)");
+			if (step.type === "key" && !(step.repeat >= 1)) return "Repeat must be at least 1";
+			return null;
+		case "text":
+			return step.text ? null : "Text step is empty";
+		case "delay":
+			return step.ms >= 0 ? null : "Delay must be 0 ms or more";
+		case "click":
+			return MOUSE_BUTTONS.includes(step.button) ? null : "Button must be left, right or middle";
+		default:
+			return "Unknown step type: " + step.type;
+	}
+}
+
+export class MacroStore {
+	constructor() {
+		this._macros = [];
+		this._onChange = null;
+		let saved = getSetting("macros");
+		if (Array.isArray(saved)) this._macros = saved;
+	}
+
+	set onChange(cb) { this._onChange = cb; }
+
+	list() { return this._macros.slice(); }
+
+	get(id) { return this._macros.find(m => m.id === id) || null; }
+
+	// Insert or replace by id; a macro without id gets a new one
+	save(macro) {
+		if (!macro.id) {
+			macro.id = "m" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+		}
+		let i = this._macros.findIndex(m => m.id === macro.id);
+		if (i >= 0) {
+			this._macros[i] = macro;
+		} else {
+			this._macros.push(macro);
+		}
+		this._persist();
+		return macro;
+	}
+
+	remove(id) {
+		this._macros = this._macros.filter(m => m.id !== id);
+		this._persist();
+	}
+
+	_persist() {
+		setSetting("macros", this._macros);
+		if (this._onChange) this._onChange();
+	}
+}
+
+// Collects key events with the delays between them
+export class MacroRecorder {
+	constructor() {
+		this._steps = null;
+		this._lastTime = 0;
+	}
+
+	get recording() { return this._steps !== null; }
+
+	start() {
+		this._steps = [];
+		this._lastTime = 0;
+	}
+
+	record(key, state) {
+		if (!this._steps) return;
+		let now = Date.now();
+		if (this._lastTime) {
+			let gap = Math.round((now - this._lastTime) / 10) * 10;
+			if (gap >= MIN_RECORDED_DELAY) this._steps.push({type: "delay", ms: gap});
+		}
+		this._lastTime = now;
+		this._steps.push({type: state ? "keydown" : "keyup", key: key});
+	}
+
+	stop() {
+		let steps = _collapseTaps(this._steps || []);
+		this._steps = null;
+		return steps;
+	}
+}
+
+// Turn keydown+keyup pairs with nothing in between into a single "key" tap,
+// and consecutive identical taps into one step with a repeat count.
+function _collapseTaps(steps) {
+	let out = [];
+	for (let i = 0; i < steps.length; i++) {
+		let s = steps[i];
+		let next = steps[i + 1];
+		if (s.type === "keydown" && next && next.type === "keyup" && next.key === s.key) {
+			let prev = out[out.length - 1];
+			if (prev && prev.type === "key" && prev.key === s.key) {
+				prev.repeat++;
+			} else {
+				out.push({type: "key", key: s.key, repeat: 1});
+			}
+			i++;
+		} else {
+			out.push(s);
+		}
+	}
+	return out;
+}
+
+export class MacroPlayer {
+	constructor(keyboardHandler, mouseHandler) {
+		this._keyboard = keyboardHandler;
+		this._mouse = mouseHandler;
+		this._playing = null; // id of the macro being played
+		this._job = null; // {aborted}, also handed to text steps so abort stops their typing
+		this._held = new Set();
+		this._wake = null;
+		this._onStateChange = null;
+	}
+
+	// cb(playingMacroId or null)
+	set onStateChange(cb) { this._onStateChange = cb; }
+	get playing() { return this._playing; }
+
+	async play(macro) {
+		if (this._playing) return;
+		this._playing = macro.id;
+		this._job = {aborted: false};
+		this._notify();
+		try {
+			for (let step of macro.steps) {
+				if (this._job.aborted) break;
+				await this._runStep(step);
+			}
+		} finally {
+			this._releaseHeld();
+			this._job = null;
+			this._playing = null;
+			this._notify();
+		}
+	}
+
+	abort() {
+		if (this._job) this._job.aborted = true;
+		if (this._wake) this._wake();
+	}
+
+	async _runStep(step) {
+		switch (step.type) {
+			case "key":
+				for (let i = 0; i < (step.repeat || 1) && !this._job.aborted; i++) {
+					this._keyboard.sendKey(step.key, true);
+					await this._sleep(TAP_HOLD);
+					this._keyboard.sendKey(step.key, false);
+					await this._sleep(TAP_HOLD);
+				}
+				break;
+			case "keydown":
+				this._keyboard.sendKey(step.key, true);
+				this._held.add(step.key);
+				break;
+			case "keyup":
+				this._keyboard.sendKey(step.key, false);
+				this._held.delete(step.key);
+				break;
+			case "text":
+				await this._keyboard.sendText(step.text, this._job);
+				break;
+			case "delay":
+				await this._sleep(step.ms);
+				break;
+			case "click":
+				this._mouse.sendButton(step.button, true);
+				await this._sleep(TAP_HOLD);
+				this._mouse.sendButton(step.button, false);
+				break;
+		}
+	}
+
+	// Abortable wait
+	_sleep(ms) {
+		return new Promise(resolve => {
+			let timer = setTimeout(() => {
+				this._wake = null;
+				resolve();
+			}, ms);
+			this._wake = () => {
+				clearTimeout(timer);
+				this._wake = null;
+				resolve();
+			};
+		});
+	}
+
+	_releaseHeld() {
+		for (let key of this._held) {
+			this._keyboard.sendKey(key, false);
+		}
+		this._held.clear();
+	}
+
+	_notify() {
+		if (this._onStateChange) this._onStateChange(this._playing);
+	}
+}
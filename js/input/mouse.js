@@ -5,40 +5,66 @@
 // and uses pointer lock for relative mode — both unsuitable for tablets.
 // This module implements touch-to-point (absolute) and touch-drag (relative) modes.
 //
-// Gesture detection (works in BOTH absolute and relative modes):
+// Gesture detection (works in BOTH absolute and relative modes). What each
+// gesture does, and its timings, come from the active gesture profile (see
+// gestures.js). The classic defaults:
 //   - Double tap (two taps within 300ms) = left click
 //   - Double tap and hold = left click + drag (for text selection / highlighting)
 //   - Tap and hold (500ms without moving) = right click
+//   - Relative mode: single tap = left click (delayed by the double-tap window
+//     while a double tap is bound), two-finger tap = right click
 //
-// Relative mode additional gestures:
-//   - Single tap = left click (with 300ms delay to distinguish from double-tap)
-//   - Two-finger tap = right click
-//   - Touch-drag = relative mouse movement
-//   - Two-finger scroll in both modes
+// Always:
+//   - Touch-drag = relative mouse movement (relative mode)
+//   - Two-finger scroll in both modes, with momentum after a flick (see
+//     scrolling.js); a touch during momentum stops it without clicking
+//
+// While the mouse panel holds a button down (setButtonHeld), tap and hold
+// gestures are off and one finger only moves the cursor, dragging with it.
+//
+// Trackpad mode (see trackpad.js) replaces these gestures with laptop-style
+// ones and draws a predicted cursor over the stream.
+//
+// Pens, mice and external trackpads are handled through Pointer Events (see
+// pointer.js) with direct button mapping; pen touch events are ignored here.
 //
 // Zoom awareness: when the ZoomController is actively handling a pinch or pan,
 // the mouse handler yields and does not send HID events.
 
-const TAP_MAX_DURATION = 200; // ms — max time for a touch to count as a tap
-const TAP_MAX_DISTANCE = 10; // px — max movement for a touch to count as a tap
-const DOUBLE_TAP_WINDOW = 300; // ms — max time between two taps for a double tap
-const LONG_PRESS_DELAY = 500; // ms — hold duration for right click
-const DRAG_HOLD_DELAY = 200; // ms — hold after second tap to enter drag mode
+import {PointerAccelerator, splitRelative} from "./acceleration.js";
+import {Trackpad} from "./trackpad.js";
+import {PointerInput} from "./pointer.js";
+import {TouchScroller} from "./scrolling.js";
+import {ACTION_BUTTONS, DEFAULT_GESTURE_CONFIG} from "./gestures.js";
 
 export class MouseHandler {
 	constructor(ws, streamContainer) {
 		this._ws = ws;
 		this._streamContainer = streamContainer;
-		this._mode = "absolute"; // "absolute" | "relative"
+		this._mode = "absolute"; // "absolute" | "relative" | "trackpad"
 		this._getStreamGeometry = null;
 		this._zoomController = null;
 		this._sendTimer = null;
 		this._absPos = null;
 		this._relTouchStart = null;
+		this._relTouchTime = 0;
+		this._accel = new PointerAccelerator();
 		this._enabled = true;
+		this._hidOnline = true;
+		this._hidAbsolute = true;
+		this._pressedButtons = new Set();
 		this._sensitivity = 1;
 		this._scrollSensitivity = 2;
 
+		// Buttons latched down by the mouse panel's hold mode. While any is
+		// held, touch gestures are off so one finger only moves (and drags).
+		this._heldButtons = new Set();
+		this._onHeldButtonsChange = null;
+
+		// Gesture timings and per-mode action bindings
+		this._gestures = DEFAULT_GESTURE_CONFIG;
+		this._onKeyCombo = null;
+
 		// Tap detection
 		this._touchStartTime = 0;
 		this._touchStartPos = null;
@@ -63,17 +89,54 @@ export class MouseHandler {
 		this._twoFingerStartTime = 0;
 		this._twoFingerMoved = false;
 
+		// Three-finger tap detection
+		this._threeFingerTapDetected = false;
+		this._threeFingerStartTime = 0;
+		this._threeFingerAnchor = null;
+
 		// Two-finger scroll tracking
 		this._scrollAnchor = null;
+		this._scroller = new TouchScroller((dx, dy) => this._ws.sendMouseWheel(dx, dy));
+
+		this._trackpad = new Trackpad(streamContainer, {
+			getTouchPos: (touch) => this._getTouchPos(touch),
+			getGeometry: () => this._getStreamGeometry ? this._getStreamGeometry() : null,
+			getTimings: () => this._gestures.timings,
+			accel: this._accel,
+			scroller: this._scroller,
+			sendRelative: (dx, dy) => this._sendRelativeReports(dx, dy),
+			sendAbsolute: (x, y) => {
+				this._ws.sendMouseMoveAbs(_remap(x, 0, 1, -32768, 32767), _remap(y, 0, 1, -32768, 32767));
+			},
+			sendButton: (button, state) => this._sendButtonEvent(button, state),
+		});
+
+		// Pointer movement is scaled into relative reports when the HID is
+		// relative and the pointer isn't locked; this keeps the sub-pixel part
+		this._pointerRemainder = {x: 0, y: 0};
+		this._wheelRemainder = {x: 0, y: 0}; // wheel steps scaled by a fractional sensitivity
+		this._pointer = new PointerInput(streamContainer, {
+			enabled: () => this._enabled && this._hidOnline && !this._isZoomGesture(),
+			absolute: () => this._hidAbsolute,
+			getPos: (x, y) => this._screenToContainerPos(x, y),
+			moveTo: (pos, prevPos) => this._movePointerTo(pos, prevPos),
+			sendRelative: (dx, dy) => this._sendRelativeReports(dx, dy),
+			sendButton: (button, state) => this.sendButton(button, state),
+			sendWheel: (dx, dy) => this._sendScaledWheel(dx, dy),
+			cancelTouch: () => this._cancelGesture(),
+		});
 
 		// Bind event handlers
 		this._onTouchStart = this._handleTouchStart.bind(this);
 		this._onTouchMove = this._handleTouchMove.bind(this);
 		this._onTouchEnd = this._handleTouchEnd.bind(this);
+		// A cancelled touch (system gesture, palm rejection) must not leave a button held
+		this._onTouchCancel = () => this.releaseAll();
 
 		this._streamContainer.addEventListener("touchstart", this._onTouchStart, {passive: false});
 		this._streamContainer.addEventListener("touchmove", this._onTouchMove, {passive: false});
 		this._streamContainer.addEventListener("touchend", this._onTouchEnd, {passive: false});
+		this._streamContainer.addEventListener("touchcancel", this._onTouchCancel);
 
 		// Periodic absolute position sender (like the desktop's mouse rate timer)
 		this._sendTimer = setInterval(() => this._sendPlannedMove(), 10);
@@ -81,30 +144,84 @@ export class MouseHandler {
 
 	set getStreamGeometry(fn) { this._getStreamGeometry = fn; }
 	set zoomController(zc) { this._zoomController = zc; }
-	set mode(m) { this._mode = m; }
+	set mode(m) {
+		this._mode = m;
+		this._trackpad.active = m === "trackpad";
+	}
 	get mode() { return this._mode; }
 	set enabled(v) { this._enabled = v; }
-	set sensitivity(v) { this._sensitivity = parseFloat(v) || 1; }
-	set scrollSensitivity(v) { this._scrollSensitivity = parseFloat(v) || 2; }
+	// Cleared while kvmd reports the mouse offline so we don't send into the void.
+	// A gesture in progress is dropped then: its tap, long-press and drag timers
+	// would still press buttons, and a drag's button would stay held.
+	set hidOnline(v) {
+		this._hidOnline = !!v;
+		if (!this._hidOnline) this.releaseAll();
+	}
+	// Whether kvmd's mouse output is absolute; trackpad mode sends absolute moves then
+	set hidAbsolute(v) {
+		this._hidAbsolute = !!v;
+		this._trackpad.absolute = v;
+		if (this._hidAbsolute) this._pointer.exitLock();
+	}
+	// Pen precision mode; off leaves pens to the touch gestures
+	set penInput(v) { this._pointer.penEnabled = v; }
+	set sensitivity(v) {
+		this._sensitivity = parseFloat(v) || 1;
+		this._accel.sensitivity = this._sensitivity;
+	}
+	// Relative mode acceleration, see input/acceleration.js
+	set accelProfile(id) { this._accel.profile = id; }
+	set accelCurve(points) { this._accel.customCurve = points; }
+	set scrollSensitivity(v) {
+		this._scrollSensitivity = parseFloat(v) || 2;
+		this._scroller.sensitivity = this._scrollSensitivity;
+	}
 	get scrollSensitivity() { return this._scrollSensitivity; }
+	// Two-finger scroll direction (natural = like a touch screen) and momentum
+	set scrollNatural(v) { this._scroller.natural = v; }
+	set scrollMomentum(v) { this._scroller.momentum = v; }
+	// {timings, bindings: {absolute, relative}} from the active gesture profile
+	set gestures(config) { this._gestures = config; }
+	// cb(keys) for gestures bound to a keyboard combo
+	set onKeyCombo(cb) { this._onKeyCombo = cb; }
+	set onHeldButtonsChange(cb) { this._onHeldButtonsChange = cb; }
+	get heldButtons() { return Array.from(this._heldButtons); }
 
 	destroy() {
 		this._streamContainer.removeEventListener("touchstart", this._onTouchStart);
 		this._streamContainer.removeEventListener("touchmove", this._onTouchMove);
 		this._streamContainer.removeEventListener("touchend", this._onTouchEnd);
+		this._streamContainer.removeEventListener("touchcancel", this._onTouchCancel);
+		this._pointer.destroy();
 		if (this._sendTimer) clearInterval(this._sendTimer);
 		if (this._singleTapTimer) clearTimeout(this._singleTapTimer);
 		if (this._longPressTimer) clearTimeout(this._longPressTimer);
 		if (this._dragHoldTimer) clearTimeout(this._dragHoldTimer);
+		this._scroller.stop();
 	}
 
 	_isZoomGesture() {
 		return this._zoomController && this._zoomController.isPanningOrPinching;
 	}
 
+	// Touch events that belong to a pen (or a palm resting while it writes)
+	_isPenTouch(ev) {
+		if (this._pointer.penActive) return true;
+		let touch = ev.changedTouches && ev.changedTouches[0];
+		return !!touch && touch.touchType === "stylus" && this._pointer.penEnabled;
+	}
+
 	_handleTouchStart(ev) {
-		if (!this._enabled) return;
+		if (!this._enabled || !this._hidOnline) return;
+		if (this._isPenTouch(ev)) {
+			ev.preventDefault();
+			return;
+		}
 		if (this._isZoomGesture()) return;
+		if (this._mode === "trackpad") {
+			this._trackpad.handleTouchStart(ev);
+			return;
+		}
 
 		if (ev.touches.length === 1) {
 			ev.preventDefault();
@@ -115,13 +232,18 @@ export class MouseHandler {
 			this._touchStartPos = pos;
 			this._touchMoved = false;
 			this._longPressFired = false;
+			this._twoFingerMoved = false;
+			if (this._scroller.stop()) {
+				this._longPressFired = true; // stopping scroll momentum is not a tap
+			}
 
 			// Check if this is the second tap of a double-tap (finger still down)
 			let now = Date.now();
-			if (this._lastTapTime && (now - this._lastTapTime) < DOUBLE_TAP_WINDOW && this._lastTapPos) {
+			let t = this._gestures.timings;
+			if (this._wantsDoubleTap() && this._lastTapTime && (now - this._lastTapTime) < t.doubleTapWindow && this._lastTapPos) {
 				let dx = pos.x - this._lastTapPos.x;
 				let dy = pos.y - this._lastTapPos.y;
-				if (Math.sqrt(dx * dx + dy * dy) < TAP_MAX_DISTANCE * 2) {
+				if (Math.sqrt(dx * dx + dy * dy) < t.tapMaxDistance * 2) {
 					// This is the second tap — cancel single tap timer
 					if (this._singleTapTimer) {
 						clearTimeout(this._singleTapTimer);
@@ -129,21 +251,24 @@ export class MouseHandler {
 					}
 					this._isSecondTapDown = true;
 
-					// Start drag hold timer — if finger stays down for DRAG_HOLD_DELAY,
-					// enter drag mode (left button press + drag)
+					// Start drag hold timer — if finger stays down for dragHoldDelay,
+					// run the double-tap-hold action (by default: left button press + drag)
 					if (this._dragHoldTimer) clearTimeout(this._dragHoldTimer);
-					this._dragHoldTimer = setTimeout(() => {
-						if (this._isSecondTapDown && !this._touchMoved) {
-							// Enter drag mode
-							this._isDragging = true;
-							this._ws.sendMouseButton("left", true);
-							// Cancel long press since we're dragging
-							if (this._longPressTimer) {
-								clearTimeout(this._longPressTimer);
-								this._longPressTimer = null;
+					if (this._binding("doubleTapHold") !== "none") {
+						this._dragHoldTimer = setTimeout(() => {
+							this._dragHoldTimer = null;
+							if (this._isSecondTapDown && !this._touchMoved) {
+								this._isSecondTapDown = false;
+								this._startHoldAction(this._binding("doubleTapHold"));
+								this._longPressFired = true; // the lift is not a tap
+								// Cancel long press since the hold was handled
+								if (this._longPressTimer) {
+									clearTimeout(this._longPressTimer);
+									this._longPressTimer = null;
+								}
 							}
-						}
-					}, DRAG_HOLD_DELAY);
+						}, t.dragHoldDelay);
+					}
 
 					// Don't start long press timer for second tap of double-tap
 					// (the drag hold timer handles this case)
@@ -151,7 +276,7 @@ export class MouseHandler {
 						this._absPos = pos;
 						this._sendPlannedMove();
 					} else {
-						this._relTouchStart = pos;
+						this._startRelative(pos);
 					}
 					return;
 				}
@@ -159,21 +284,39 @@ export class MouseHandler {
 
 			// Not a second tap — start long press timer (works in both modes)
 			if (this._longPressTimer) clearTimeout(this._longPressTimer);
-			this._longPressTimer = setTimeout(() => {
-				if (!this._touchMoved && !this._longPressFired && !this._isDragging) {
-					this._longPressFired = true;
-					// Send right click
-					this._ws.sendMouseButton("right", true);
-					setTimeout(() => this._ws.sendMouseButton("right", false), 50);
-				}
-			}, LONG_PRESS_DELAY);
+			this._longPressTimer = null;
+			if (this._binding("longPress") !== "none") {
+				this._longPressTimer = setTimeout(() => {
+					this._longPressTimer = null;
+					if (!this._touchMoved && !this._longPressFired && !this._isDragging) {
+						this._longPressFired = true;
+						this._startHoldAction(this._binding("longPress"));
+					}
+				}, t.longPressDelay);
+			}
 
 			if (this._mode === "absolute") {
 				this._absPos = pos;
 				this._sendPlannedMove();
 			} else {
-				this._relTouchStart = pos;
+				this._startRelative(pos);
 			}
+		} else if (ev.touches.length === 3) {
+			// Three-finger touch: only a tap is recognized
+			if (this._longPressTimer) {
+				clearTimeout(this._longPressTimer);
+				this._longPressTimer = null;
+			}
+			if (this._dragHoldTimer) {
+				clearTimeout(this._dragHoldTimer);
+				this._dragHoldTimer = null;
+			}
+			this._isSecondTapDown = false;
+			this._twoFingerTapDetected = false;
+			this._scrollAnchor = null;
+			this._threeFingerTapDetected = true;
+			this._threeFingerStartTime = Date.now();
+			this._threeFingerAnchor = this._getMidpoint(ev.touches[0], ev.touches[2]);
 		} else if (ev.touches.length === 2) {
 			// Two-finger touch: could be scroll or right-click tap
 			// Cancel any pending long press and drag timers
@@ -189,7 +332,8 @@ export class MouseHandler {
 
 			this._twoFingerStartTime = Date.now();
 			this._twoFingerMoved = false;
-			this._twoFingerTapDetected = true;
+			this._twoFingerTapDetected = !this._scroller.stop();
+			this._scroller.begin();
 
 			let mid = this._getMidpoint(ev.touches[0], ev.touches[1]);
 			this._scrollAnchor = mid;
@@ -205,8 +349,16 @@ export class MouseHandler {
 	}
 
 	_handleTouchMove(ev) {
-		if (!this._enabled) return;
+		if (!this._enabled || !this._hidOnline) return;
+		if (this._isPenTouch(ev)) {
+			ev.preventDefault();
+			return;
+		}
 		if (this._isZoomGesture()) return;
+		if (this._mode === "trackpad") {
+			this._trackpad.handleTouchMove(ev);
+			return;
+		}
 
 		if (ev.touches.length === 1) {
 			ev.preventDefault();
@@ -216,14 +368,14 @@ export class MouseHandler {
 			if (this._touchStartPos) {
 				let dx = pos.x - this._touchStartPos.x;
 				let dy = pos.y - this._touchStartPos.y;
-				if (Math.sqrt(dx * dx + dy * dy) > TAP_MAX_DISTANCE) {
+				if (Math.sqrt(dx * dx + dy * dy) > this._gestures.timings.tapMaxDistance) {
 					this._touchMoved = true;
 
 					// If we're in the second-tap hold period and finger moves,
 					// immediately enter drag mode (don't wait for timer)
-					if (this._isSecondTapDown && !this._isDragging) {
+					if (this._isSecondTapDown && !this._isDragging && this._binding("doubleTapHold") === "drag") {
 						this._isDragging = true;
-						this._ws.sendMouseButton("left", true);
+						this._sendButtonEvent("left", true);
 						if (this._dragHoldTimer) {
 							clearTimeout(this._dragHoldTimer);
 							this._dragHoldTimer = null;
@@ -243,30 +395,22 @@ export class MouseHandler {
 				if (this._mode === "absolute") {
 					this._absPos = pos;
 				} else {
-					if (this._relTouchStart) {
-						let dx = (pos.x - this._relTouchStart.x) * this._sensitivity;
-						let dy = (pos.y - this._relTouchStart.y) * this._sensitivity;
-						dx = Math.min(Math.max(-127, Math.floor(dx)), 127);
-						dy = Math.min(Math.max(-127, Math.floor(dy)), 127);
-						if (dx || dy) {
-							this._ws.sendMouseRelative(dx, dy);
-						}
-						this._relTouchStart = pos;
-					}
+					this._sendRelativeMove(pos);
 				}
 			} else if (this._mode === "absolute") {
 				this._absPos = pos;
 			} else {
-				// Relative mode: send delta (scaled by sensitivity)
-				if (this._relTouchStart) {
-					let dx = (pos.x - this._relTouchStart.x) * this._sensitivity;
-					let dy = (pos.y - this._relTouchStart.y) * this._sensitivity;
-					dx = Math.min(Math.max(-127, Math.floor(dx)), 127);
-					dy = Math.min(Math.max(-127, Math.floor(dy)), 127);
-					if (dx || dy) {
-						this._ws.sendMouseRelative(dx, dy);
-					}
-					this._relTouchStart = pos;
+				// Relative mode: send delta (scaled by sensitivity and acceleration)
+				this._sendRelativeMove(pos);
+			}
+		} else if (ev.touches.length === 3) {
+			ev.preventDefault();
+			if (this._threeFingerAnchor) {
+				let mid = this._getMidpoint(ev.touches[0], ev.touches[2]);
+				let dx = mid.x - this._threeFingerAnchor.x;
+				let dy = mid.y - this._threeFingerAnchor.y;
+				if (Math.sqrt(dx * dx + dy * dy) > this._gestures.timings.tapMaxDistance) {
+					this._threeFingerTapDetected = false;
 				}
 			}
 		} else if (ev.touches.length === 2) {
@@ -278,24 +422,14 @@ export class MouseHandler {
 				let dx = mid.x - this._scrollAnchor.x;
 				let dy = mid.y - this._scrollAnchor.y;
 
-				// Dead zone to avoid accidental scrolls
-				if (Math.abs(dy) > 5 || Math.abs(dx) > 5) {
+				// Dead zone to avoid accidental scrolls; once past it every move counts
+				if (this._twoFingerMoved || Math.abs(dy) > 5 || Math.abs(dx) > 5) {
 					// Mark as moved (not a tap) only once we exceed dead zone
 					this._twoFingerMoved = true;
 					this._twoFingerTapDetected = false;
 
-					// Natural scroll: swipe down = scroll up (content moves up)
-					// dy > 0 means finger moved down → send positive wheel (scroll up)
-					let scrollY = 0;
-					let scrollX = 0;
-					let sens = this._scrollSensitivity;
-					if (Math.abs(dy) > 5) {
-						scrollY = dy > 0 ? sens : -sens;
-					}
-					if (Math.abs(dx) > 5) {
-						scrollX = dx > 0 ? sens : -sens;
-					}
-					this._ws.sendMouseWheel(scrollX, scrollY);
+					// Scroll in proportion to the distance moved
+					this._scroller.move(dx, dy);
 
 					// Update anchor for continuous scrolling
 					this._scrollAnchor = mid;
@@ -306,8 +440,20 @@ export class MouseHandler {
 	}
 
 	_handleTouchEnd(ev) {
+		if (!this._hidOnline) {
+			this._cancelGesture();
+			return;
+		}
 		if (!this._enabled) return;
+		if (this._isPenTouch(ev)) {
+			ev.preventDefault();
+			return;
+		}
 		if (this._isZoomGesture()) return;
+		if (this._mode === "trackpad") {
+			this._trackpad.handleTouchEnd(ev);
+			return;
+		}
 
 		// Cancel long press timer
 		if (this._longPressTimer) {
@@ -322,7 +468,7 @@ export class MouseHandler {
 
 			// If dragging, release the left button
 			if (this._isDragging) {
-				this._ws.sendMouseButton("left", false);
+				this._sendButtonEvent("left", false);
 				this._isDragging = false;
 				this._isSecondTapDown = false;
 				if (this._dragHoldTimer) {
@@ -343,9 +489,7 @@ export class MouseHandler {
 					clearTimeout(this._dragHoldTimer);
 					this._dragHoldTimer = null;
 				}
-				// Fire left click (press + release)
-				this._ws.sendMouseButton("left", true);
-				setTimeout(() => this._ws.sendMouseButton("left", false), 50);
+				this._performAction(this._binding("doubleTap"));
 				this._lastTapTime = 0;
 				this._lastTapPos = null;
 				this._resetState();
@@ -358,36 +502,37 @@ export class MouseHandler {
 				return;
 			}
 
-			let wasTap = !this._touchMoved && (Date.now() - this._touchStartTime) < TAP_MAX_DURATION;
+			// Both fingers lifted together at the end of a scroll
+			if (this._scrollAnchor && this._twoFingerMoved) this._scroller.release();
 
-			if (this._mode === "relative") {
-				// Check for two-finger tap → right click
-				if (this._twoFingerTapDetected && !this._twoFingerMoved) {
-					let elapsed = Date.now() - this._twoFingerStartTime;
-					if (elapsed < TAP_MAX_DURATION) {
-						this._ws.sendMouseButton("right", true);
-						setTimeout(() => this._ws.sendMouseButton("right", false), 50);
-					}
-				}
-				// Check for single/double tap
-				else if (wasTap && ev.changedTouches.length >= 1 && this._touchStartPos) {
-					this._processTap();
+			let tapMaxDuration = this._gestures.timings.tapMaxDuration;
+			// A quick two-finger scroll is not a tap of the finger that landed first
+			let wasTap = !this._touchMoved && !this._twoFingerMoved &&
+				(Date.now() - this._touchStartTime) < tapMaxDuration;
+
+			if (this._threeFingerTapDetected) {
+				if (Date.now() - this._threeFingerStartTime < tapMaxDuration) {
+					this._performAction(this._binding("threeFingerTap"));
 				}
-			} else {
-				// Absolute mode: check for tap
-				if (wasTap && ev.changedTouches.length >= 1 && this._touchStartPos) {
-					this._processTap();
+			} else if (this._twoFingerTapDetected && !this._twoFingerMoved) {
+				if (Date.now() - this._twoFingerStartTime < tapMaxDuration) {
+					this._performAction(this._binding("twoFingerTap"));
 				}
+			} else if (wasTap && ev.changedTouches.length >= 1 && this._touchStartPos) {
+				// Check for single/double tap
+				this._processTap();
 			}
 
 			// Reset state
 			this._relTouchStart = null;
 			this._touchStartPos = null;
 			this._twoFingerTapDetected = false;
+			this._threeFingerTapDetected = false;
 			this._scrollAnchor = null;
 		} else if (ev.touches.length === 1) {
-			// Went from 2 fingers to 1 — reset relative tracking
-			this._twoFingerTapDetected = false;
+			// Went from 2 fingers to 1 — stop scrolling (momentum carries on).
+			// Tap detection stays armed: fingers rarely lift in the same event.
+			if (this._scrollAnchor && this._twoFingerMoved) this._scroller.release();
 			this._scrollAnchor = null;
 		}
 	}
@@ -398,34 +543,80 @@ export class MouseHandler {
 
 		// Note: double-tap detection is now handled in _handleTouchStart
 		// (when the second tap lands). _processTap only records first taps
-		// and handles single-tap clicks in relative mode.
+		// and handles single-tap actions.
 
 		// This is the first tap — record it for potential double-tap detection
 		this._lastTapTime = now;
 		this._lastTapPos = {x: pos.x, y: pos.y};
 
-		// In relative mode, schedule a single-tap left click after the double-tap window
-		if (this._mode === "relative") {
-			if (this._singleTapTimer) clearTimeout(this._singleTapTimer);
-			this._singleTapTimer = setTimeout(() => {
-				this._singleTapTimer = null;
-				this._ws.sendMouseButton("left", true);
-				setTimeout(() => this._ws.sendMouseButton("left", false), 50);
-				this._lastTapTime = 0;
-				this._lastTapPos = null;
-			}, DOUBLE_TAP_WINDOW);
+		let action = this._binding("tap");
+		if (action === "none") return;
+		if (!this._wantsDoubleTap()) {
+			this._lastTapTime = 0;
+			this._performAction(action);
+			return;
+		}
+		// Wait out the double-tap window so a double tap doesn't also fire this
+		if (this._singleTapTimer) clearTimeout(this._singleTapTimer);
+		this._singleTapTimer = setTimeout(() => {
+			this._singleTapTimer = null;
+			this._performAction(action);
+			this._lastTapTime = 0;
+			this._lastTapPos = null;
+		}, this._gestures.timings.doubleTapWindow);
+	}
+
+	_binding(gesture) {
+		if (this._heldButtons.size) return "none";
+		let bindings = this._gestures.bindings[this._mode === "absolute" ? "absolute" : "relative"];
+		return bindings[gesture] || "none";
+	}
+
+	_wantsDoubleTap() {
+		return this._binding("doubleTap") !== "none" || this._binding("doubleTapHold") !== "none";
+	}
+
+	// Hold gestures either start a drag (left button held until the finger
+	// lifts) or fire their action straight away
+	_startHoldAction(action) {
+		if (action === "drag") {
+			this._isDragging = true;
+			this._sendButtonEvent("left", true);
+		} else {
+			this._performAction(action);
 		}
 	}
 
+	_performAction(action) {
+		if (action.startsWith("combo:")) {
+			if (this._onKeyCombo) this._onKeyCombo(action.slice(6).split("+"));
+			return;
+		}
+		if (action === "double") {
+			this._click("left");
+			setTimeout(() => this._click("left"), 100);
+			return;
+		}
+		let button = ACTION_BUTTONS[action];
+		if (button) this._click(button);
+	}
+
+	_click(button) {
+		this._sendButtonEvent(button, true);
+		setTimeout(() => this._sendButtonEvent(button, false), 50);
+	}
+
 	_resetState() {
 		this._relTouchStart = null;
 		this._touchStartPos = null;
 		this._twoFingerTapDetected = false;
+		this._longPressFired = false;
 		this._scrollAnchor = null;
 	}
 
+	// _absPos is only set by absolute mode and pens
 	_sendPlannedMove() {
-		if (this._mode === "absolute" && this._absPos && this._getStreamGeometry) {
+		if (this._absPos && this._getStreamGeometry) {
 			let geo = this._getStreamGeometry();
 			if (!geo) return;
 
@@ -475,6 +666,63 @@ export class MouseHandler {
 		};
 	}
 
+	_movePointerTo(pos, prevPos) {
+		if (this._hidAbsolute) {
+			this._absPos = pos;
+			return;
+		}
+		// Relative-only HID: move by the pointer's travel in remote pixels
+		let geo = this._getStreamGeometry ? this._getStreamGeometry() : null;
+		if (!prevPos || !geo) return;
+		let rx = (pos.x - prevPos.x) * geo.realWidth / geo.width + this._pointerRemainder.x;
+		let ry = (pos.y - prevPos.y) * geo.realHeight / geo.height + this._pointerRemainder.y;
+		let dx = Math.round(rx);
+		let dy = Math.round(ry);
+		this._pointerRemainder = {x: rx - dx, y: ry - dy};
+		this._sendRelativeReports(dx, dy);
+	}
+
+	// Large deltas are split into several reports instead of being clamped
+	_sendRelativeReports(dx, dy) {
+		for (let [sx, sy] of splitRelative(dx, dy)) {
+			this._ws.sendMouseRelative(sx, sy);
+		}
+	}
+
+	// Wheel steps times the scroll sensitivity; the fraction carries over to the
+	// next event and large results are split like relative moves
+	_sendScaledWheel(dx, dy) {
+		let rx = dx * this._scrollSensitivity + this._wheelRemainder.x;
+		let ry = dy * this._scrollSensitivity + this._wheelRemainder.y;
+		let ux = Math.trunc(rx);
+		let uy = Math.trunc(ry);
+		this._wheelRemainder = {x: rx - ux, y: ry - uy};
+		for (let [sx, sy] of splitRelative(ux, uy)) {
+			this._ws.sendMouseWheel(sx, sy);
+		}
+	}
+
+	_startRelative(pos) {
+		this._relTouchStart = pos;
+		this._relTouchTime = performance.now();
+		this._accel.reset();
+	}
+
+	// Accelerated delta since the last move; large deltas are split into
+	// several reports instead of being clamped to one report's range
+	_sendRelativeMove(pos) {
+		if (!this._relTouchStart) return;
+		let now = performance.now();
+		let {dx, dy} = this._accel.apply(
+			pos.x - this._relTouchStart.x,
+			pos.y - this._relTouchStart.y,
+			now - this._relTouchTime,
+		);
+		this._sendRelativeReports(dx, dy);
+		this._relTouchStart = pos;
+		this._relTouchTime = now;
+	}
+
 	_getMidpoint(t0, t1) {
 		return {
 			x: (t0.clientX + t1.clientX) / 2,
@@ -484,7 +732,66 @@ export class MouseHandler {
 
 	// Button presses (called from the floating mouse panel)
 	sendButton(button, state) {
+		if (!this._hidOnline) return;
 		this._sendPlannedMove();
+		this._sendButtonEvent(button, state);
+	}
+
+	// Latch a button down (or let it go) until told otherwise
+	setButtonHeld(button, held) {
+		if (held === this._heldButtons.has(button)) return;
+		if (held) {
+			if (!this._hidOnline) return;
+			this._heldButtons.add(button);
+			this._cancelGesture();
+			this.sendButton(button, true);
+		} else {
+			this._heldButtons.delete(button);
+			if (this._pressedButtons.has(button)) this._sendButtonEvent(button, false);
+		}
+		if (this._onHeldButtonsChange) this._onHeldButtonsChange();
+	}
+
+	// Release every held button and drop any in-progress gesture
+	releaseAll() {
+		this._cancelGesture();
+		this._trackpad.cancel();
+		this._pointer.cancel();
+		for (let button of this._pressedButtons) {
+			this._ws.sendMouseButton(button, false);
+		}
+		this._pressedButtons.clear();
+		if (this._heldButtons.size) {
+			this._heldButtons.clear();
+			if (this._onHeldButtonsChange) this._onHeldButtonsChange();
+		}
+	}
+
+	_cancelGesture() {
+		this._scroller.stop();
+		for (let timer of ["_singleTapTimer", "_longPressTimer", "_dragHoldTimer"]) {
+			if (this[timer]) {
+				clearTimeout(this[timer]);
+				this[timer] = null;
+			}
+		}
+		this._isDragging = false;
+		this._isSecondTapDown = false;
+		this._lastTapTime = 0;
+		this._longPressFired = false;
+		this._threeFingerTapDetected = false;
+		this._touchStartPos = null;
+		this._relTouchStart = null;
+		this._scrollAnchor = null;
+		this._twoFingerTapDetected = false;
+	}
+
+	_sendButtonEvent(button, state) {
+		if (state) {
+			this._pressedButtons.add(button);
+		} else {
+			this._pressedButtons.delete(button);
+		}
 		this._ws.sendMouseButton(button, state);
 	}
 }
@@ -0,0 +1,232 @@
+"use strict";
+
+// Pointer Events input for MouseHandler: pens, mice and external trackpads.
+//
+// Touch events can't tell a stylus from a finger (except Safari's touchType),
+// so a pen would get the finger gestures: double tap to click, long press for
+// right click. Pointer Events report pointerType, so pens get direct mapping
+// instead:
+//   - Pen contact = left button down/up, with absolute movement
+//   - Barrel button = right button (pressed while hovering or touching)
+//   - Hover (where the hardware reports it) moves the cursor without clicking
+//
+// While a pen is in contact, touch events are ignored: they are the
+// compatibility events for the pen itself, or a resting palm.
+//
+// Mice (including the iPad Magic Keyboard trackpad) map their buttons
+// directly and scroll through wheel events. With an absolute HID the cursor
+// follows the pointer. With a relative HID the first click locks the pointer
+// to the stream and raw movement is sent until the browser releases the lock
+// (Esc); without Pointer Lock support the pointer's travel is scaled instead.
+
+const WHEEL_STEP = 100;  // px of wheel delta per wheel report (one notch in most browsers)
+const WHEEL_LINE = 16;   // px per line for DOM_DELTA_LINE wheel events
+
+// Pointer Events buttons bitmask -> kvmd mouse button
+const MOUSE_BUTTONS = [
+	[1, "left"],
+	[2, "right"],
+	[4, "middle"],
+	[8, "up"],    // back
+	[16, "down"], // forward
+];
+
+export class PointerInput {
+	// host: {enabled(), absolute(), getPos(clientX, clientY), moveTo(pos, prevPos),
+	//        sendRelative(dx, dy), sendButton(button, state), sendWheel(dx, dy),
+	//        cancelTouch()}
+	constructor(streamContainer, host) {
+		this._container = streamContainer;
+		this._host = host;
+		this._penEnabled = true;
+		this._penId = null;      // pointerId of the pen in contact
+		this._penButton = null;  // remote button the pen holds down
+		this._lastPos = null;
+		this._mouseButtons = new Set();
+		this._wheelAccum = {x: 0, y: 0};
+		this._locked = false;
+
+		this._onPointerDown = this._handlePointerDown.bind(this);
+		this._onPointerMove = this._handlePointerMove.bind(this);
+		this._onPointerUp = this._handlePointerUp.bind(this);
+		this._onPointerLeave = (ev) => {
+			if (ev.pointerType !== "touch" && this._penId === null) this._lastPos = null;
+		};
+		this._onWheel = this._handleWheel.bind(this);
+		this._onContextMenu = (ev) => ev.preventDefault();
+		this._onLockChange = () => {
+			this._locked = document.pointerLockElement === this._container;
+			this._lastPos = null;
+		};
+
+		this._container.addEventListener("pointerdown", this._onPointerDown);
+		this._container.addEventListener("pointermove", this._onPointerMove);
+		this._container.addEventListener("pointerup", this._onPointerUp);
+		this._container.addEventListener("pointercancel", this._onPointerUp);
+		this._container.addEventListener("pointerleave", this._onPointerLeave);
+		this._container.addEventListener("wheel", this._onWheel, {passive: false});
+		this._container.addEventListener("contextmenu", this._onContextMenu);
+		document.addEventListener("pointerlockchange", this._onLockChange);
+	}
+
+	// Off: pens fall back to the touch gestures
+	set penEnabled(v) {
+		this._penEnabled = !!v;
+		if (!this._penEnabled) this.cancel();
+	}
+	get penEnabled() { return this._penEnabled; }
+
+	// A pen is touching the screen, so touch events should be ignored
+	get penActive() { return this._penId !== null; }
+
+	// Forget held buttons (they are released by the caller)
+	cancel() {
+		this._penId = null;
+		this._penButton = null;
+		this._lastPos = null;
+		this._mouseButtons.clear();
+		this._wheelAccum = {x: 0, y: 0};
+	}
+
+	// Called when the HID switches to absolute: raw movement is no longer wanted
+	exitLock() {
+		if (this._locked && document.exitPointerLock) document.exitPointerLock();
+	}
+
+	destroy() {
+		this.exitLock();
+		this._container.removeEventListener("pointerdown", this._onPointerDown);
+		this._container.removeEventListener("pointermove", this._onPointerMove);
+		this._container.removeEventListener("pointerup", this._onPointerUp);
+		this._container.removeEventListener("pointercancel", this._onPointerUp);
+		this._container.removeEventListener("pointerleave", this._onPointerLeave);
+		this._container.removeEventListener("wheel", this._onWheel);
+		this._container.removeEventListener("contextmenu", this._onContextMenu);
+		document.removeEventListener("pointerlockchange", this._onLockChange);
+	}
+
+	_handlePointerDown(ev) {
+		if (this._isMouse(ev)) {
+			ev.preventDefault();
+			// Relative HID: the first click only captures the pointer
+			if (!this._host.absolute() && !this._locked && this._container.requestPointerLock) {
+				this._container.requestPointerLock();
+				return;
+			}
+			if (this._container.setPointerCapture) this._container.setPointerCapture(ev.pointerId);
+			this._mouseMove(ev);
+			this._syncMouseButtons(ev.buttons);
+			return;
+		}
+		if (!this._isPen(ev)) return;
+		ev.preventDefault();
+		if (this._penId === null) this._host.cancelTouch();
+		this._penId = ev.pointerId;
+		if (this._container.setPointerCapture) this._container.setPointerCapture(ev.pointerId);
+		this._move(ev);
+		this._syncPenButton(ev.buttons);
+	}
+
+	_handlePointerMove(ev) {
+		if (this._isMouse(ev)) {
+			ev.preventDefault();
+			this._mouseMove(ev);
+			// Chorded button changes arrive as pointermove
+			this._syncMouseButtons(ev.buttons);
+			return;
+		}
+		if (!this._isPen(ev)) return;
+		if (this._penId !== null && ev.pointerId !== this._penId) return;
+		ev.preventDefault();
+		this._move(ev);
+		// Barrel button presses during contact arrive as pointermove
+		if (this._penId !== null) this._syncPenButton(ev.buttons);
+	}
+
+	_handlePointerUp(ev) {
+		if (ev.pointerType === "mouse") {
+			if (!this._mouseButtons.size) return;
+			ev.preventDefault();
+			this._syncMouseButtons(ev.type === "pointercancel" ? 0 : ev.buttons);
+			return;
+		}
+		if (ev.pointerType !== "pen" || ev.pointerId !== this._penId) return;
+		ev.preventDefault();
+		this._syncPenButton(ev.type === "pointercancel" ? 0 : ev.buttons);
+		// A barrel button still held while hovering keeps the contact open
+		if (this._penButton === null) this._penId = null;
+	}
+
+	// Smooth-scrolling trackpads send many small deltas: add them up and send
+	// a wheel report for each WHEEL_STEP
+	_handleWheel(ev) {
+		if (!this._host.enabled()) return;
+		ev.preventDefault();
+		let scale = ev.deltaMode === 1 ? WHEEL_LINE : ev.deltaMode === 2 ? this._container.clientHeight : 1;
+		let accum = this._wheelAccum;
+		for (let [axis, delta] of [["x", ev.deltaX * scale], ["y", ev.deltaY * scale]]) {
+			// Drop the leftover when the direction flips
+			if (Math.sign(delta) !== Math.sign(accum[axis])) accum[axis] = 0;
+			accum[axis] += delta;
+		}
+		let stepsX = Math.trunc(accum.x / WHEEL_STEP);
+		let stepsY = Math.trunc(accum.y / WHEEL_STEP);
+		if (!stepsX && !stepsY) return;
+		accum.x -= stepsX * WHEEL_STEP;
+		accum.y -= stepsY * WHEEL_STEP;
+		// DOM deltas are positive for scrolling down/right; kvmd's are the
+		// other way round (see the touch scroll in mouse.js)
+		this._host.sendWheel(-stepsX, -stepsY);
+	}
+
+	_isPen(ev) {
+		return ev.pointerType === "pen" && this._penEnabled && this._host.enabled();
+	}
+
+	_isMouse(ev) {
+		return ev.pointerType === "mouse" && this._host.enabled();
+	}
+
+	_move(ev) {
+		let pos = this._host.getPos(ev.clientX, ev.clientY);
+		this._host.moveTo(pos, this._lastPos);
+		this._lastPos = pos;
+	}
+
+	_mouseMove(ev) {
+		if (this._locked) {
+			if (ev.movementX || ev.movementY) this._host.sendRelative(ev.movementX, ev.movementY);
+			return;
+		}
+		this._move(ev);
+	}
+
+	// Press/release so the remote holds exactly the button the pen asks for
+	_syncPenButton(buttons) {
+		let button = _penButton(buttons);
+		if (button === this._penButton) return;
+		if (this._penButton) this._host.sendButton(this._penButton, false);
+		if (button) this._host.sendButton(button, true);
+		this._penButton = button;
+	}
+
+	_syncMouseButtons(buttons) {
+		for (let [bit, button] of MOUSE_BUTTONS) {
+			let down = !!(buttons & bit);
+			if (down === this._mouseButtons.has(button)) continue;
+			if (down) {
+				this._mouseButtons.add(button);
+			} else {
+				this._mouseButtons.delete(button);
+			}
+			this._host.sendButton(button, down);
+		}
+	}
+}
+
+// Pointer Events buttons bitmask: 1 = tip contact, 2 = barrel button
+function _penButton(buttons) {
+	if (buttons & 2) return "right";
+	if (buttons & 1) return "left";
+	return null;
+}
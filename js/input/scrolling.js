@@ -0,0 +1,112 @@
+"use strict";
+
+// Two-finger touch scrolling with momentum.
+//
+// Finger travel is turned into wheel units in proportion to distance (scaled
+// by the user's scroll sensitivity), with fractions carried over so slow drags
+// still scroll. When the fingers lift while moving, scrolling continues and
+// slows down by friction; any new touch stops it.
+//
+// Natural direction (the default) scrolls like a touch screen: moving the
+// fingers down scrolls up. Traditional is the other way round.
+
+import {splitRelative} from "./acceleration.js";
+
+const UNIT_PX = 8;               // px of finger travel per wheel unit at sensitivity 1
+const VELOCITY_WINDOW = 100;     // ms of recent movement used for the lift velocity
+const MIN_FLICK_SPEED = 0.3;     // px/ms at lift needed to start momentum
+const MIN_MOMENTUM_SPEED = 0.02; // px/ms below which momentum stops
+const FRICTION = 0.95;           // velocity kept per MOMENTUM_TICK
+const MOMENTUM_TICK = 16;        // ms
+
+export class TouchScroller {
+	// sendWheel(dx, dy): kvmd wheel units, positive y scrolls up
+	constructor(sendWheel) {
+		this._sendWheel = sendWheel;
+		this._sensitivity = 2;
+		this._natural = true;
+		this._momentum = true;
+		this._remainder = {x: 0, y: 0};
+		this._samples = [];
+		this._timer = null;
+		this._velocity = null;
+	}
+
+	set sensitivity(v) { this._sensitivity = parseFloat(v) || 2; }
+	set natural(v) { this._natural = !!v; }
+	set momentum(v) {
+		this._momentum = !!v;
+		if (!this._momentum) this.stop();
+	}
+
+	// Fingers down: stop any momentum and start a new scroll
+	begin() {
+		this.stop();
+		this._remainder = {x: 0, y: 0};
+		this._samples = [];
+	}
+
+	// Finger travel in px since the last move
+	move(dx, dy) {
+		let now = performance.now();
+		this._samples.push({t: now, dx: dx, dy: dy});
+		while (this._samples.length && now - this._samples[0].t > VELOCITY_WINDOW) {
+			this._samples.shift();
+		}
+		this._emit(dx, dy);
+	}
+
+	// Fingers lifted: keep scrolling if they were still moving fast enough
+	release() {
+		let samples = this._samples;
+		this._samples = [];
+		if (!this._momentum || samples.length < 2) return;
+		let now = performance.now();
+		let last = samples[samples.length - 1];
+		// Fingers that came to rest before lifting don't flick
+		if (now - last.t > VELOCITY_WINDOW / 2) return;
+
+		let span = Math.max(now - samples[0].t, 1);
+		let vx = 0, vy = 0;
+		for (let s of samples) {
+			vx += s.dx;
+			vy += s.dy;
+		}
+		vx /= span;
+		vy /= span;
+		if (Math.hypot(vx, vy) < MIN_FLICK_SPEED) return;
+
+		this._velocity = {x: vx, y: vy};
+		this._timer = setInterval(() => this._tick(), MOMENTUM_TICK);
+	}
+
+	// Stop momentum; true if it was running (the touch that stopped it is not a tap)
+	stop() {
+		if (!this._timer) return false;
+		clearInterval(this._timer);
+		this._timer = null;
+		this._velocity = null;
+		return true;
+	}
+
+	_tick() {
+		let v = this._velocity;
+		this._emit(v.x * MOMENTUM_TICK, v.y * MOMENTUM_TICK);
+		v.x *= FRICTION;
+		v.y *= FRICTION;
+		if (Math.hypot(v.x, v.y) < MIN_MOMENTUM_SPEED) this.stop();
+	}
+
+	_emit(dx, dy) {
+		let scale = this._sensitivity / UNIT_PX * (this._natural ? 1 : -1);
+		let rx = dx * scale + this._remainder.x;
+		let ry = dy * scale + this._remainder.y;
+		let ux = Math.trunc(rx);
+		let uy = Math.trunc(ry);
+		this._remainder = {x: rx - ux, y: ry - uy};
+		// Wheel reports are signed bytes too
+		for (let [sx, sy] of splitRelative(ux, uy)) {
+			this._sendWheel(sx, sy);
+		}
+	}
+}
@@ -0,0 +1,96 @@
+"use strict";
+
+// Physical keyboard shortcut handling settings.
+//
+// Tablet OSes grab some shortcuts (Cmd+Tab, Cmd+Space, ...) before the page
+// sees them. A remap {from, to} lets the user press an alternative chord that
+// does reach the browser and have the target receive the intended one. Both
+// sides are KVMD key names: modifiers first, the main key last.
+
+import {isValidKey} from "./keyboard.js";
+import {getSetting, setSetting} from "../settings.js";
+
+// Host-escape chord: a double tap of this key toggles keyboard capture
+export const ESCAPE_KEYS = {
+	"": "Off",
+	ControlRight: "Double-tap Right Ctrl",
+	AltRight: "Double-tap Right Alt",
+	ShiftRight: "Double-tap Right Shift",
+	MetaRight: "Double-tap Right Meta",
+};
+
+const MODIFIERS = new Set([
+	"ControlLeft", "ControlRight", "ShiftLeft", "ShiftRight",
+	"AltLeft", "AltRight", "MetaLeft", "MetaRight",
+]);
+
+const DEFAULT_REMAPS = [
+	{from: ["ControlLeft", "AltLeft", "Tab"], to: ["AltLeft", "Tab"]},
+	{from: ["ControlLeft", "AltLeft", "Space"], to: ["MetaLeft", "Space"]},
+];
+
+export function isModifierKey(key) {
+	return MODIFIERS.has(key);
+}
+
+// Throws with a user-facing message if the remap can't be applied
+export function validateRemap(remap) {
+	for (let side of ["from", "to"]) {
+		let keys = remap[side];
+		if (!Array.isArray(keys) || keys.length === 0) throw new Error("Both chords are required");
+		for (let key of keys) {
+			if (!isValidKey(key)) throw new Error("Unknown key: " + key);
+		}
+		if (isModifierKey(keys[keys.length - 1])) {
+			throw new Error("A chord must end with a non-modifier key");
+		}
+		if (!keys.slice(0, -1).every(isModifierKey)) {
+			throw new Error("Only modifiers may precede the last key");
+		}
+	}
+}
+
+export class RemapStore {
+	constructor() {
+		this._remaps = DEFAULT_REMAPS.map(r => ({from: r.from.slice(), to: r.to.slice()}));
+		this._onChange = null;
+		let saved = getSetting("shortcutRemaps");
+		if (Array.isArray(saved)) {
+			this._remaps = saved.filter(r => {
+				try {
+					validateRemap(r);
+					return true;
+				} catch (e) {
+					return false;
+				}
+			});
+		}
+	}
+
+	set onChange(cb) { this._onChange = cb; }
+
+	list() {
+		return this._remaps.slice();
+	}
+
+	add(remap) {
+		validateRemap(remap);
+		this._remaps.push({from: remap.from.slice(), to: remap.to.slice()});
+		this._persist();
+	}
+
+	remove(index) {
+		this._remaps.splice(index, 1);
+		this._persist();
+	}
+
+	resetDefaults() {
+		this._remaps = DEFAULT_REMAPS.map(r => ({from: r.from.slice(), to: r.to.slice()}));
+		this._persist();
+	}
+
+	_persist() {
+		setSetting("shortcutRemaps", this._remaps);
+		if (this._onChange) this._onChange();
+	}
+}
@@ -0,0 +1,218 @@
+"use strict";
+
+// Laptop-style trackpad mode for MouseHandler.
+//
+// The stream behaves like a touchpad: finger movement moves the remote cursor
+// relative to where it was, and a local cursor overlay shows where the cursor
+// is expected to be before the video catches up.
+//
+// Gestures:
+//   - One finger: move the cursor
+//   - Tap = left click, two-finger tap = right click (what counts as a tap
+//     comes from the active gesture profile's timings)
+//   - Two-finger move = scroll, with momentum after a flick
+//   - Three-finger drag = left button held while moving
+//   - Finger resting at the screen edge keeps the cursor moving that way
+//
+// With an absolute HID the predicted position is sent as an absolute move, so
+// the overlay and the remote cursor always agree. With a relative HID the
+// overlay is a prediction (remote-side acceleration is not known) clamped to
+// the screen.
+
+const EDGE_ZONE = 28;         // px from the container edge that starts edge continuation
+const EDGE_STEP = 8;          // px per tick at the very edge
+const EDGE_TICK = 16;         // ms
+
+export class Trackpad {
+	// host: {getTouchPos(touch), getGeometry(), getTimings(), accel, scroller,
+	//        sendRelative(dx, dy), sendAbsolute(x, y), sendButton(button, state)}
+	// Coordinates for sendAbsolute are 0..1 fractions of the remote screen.
+	constructor(streamContainer, host) {
+		this._container = streamContainer;
+		this._host = host;
+		this._active = false;
+		this._absolute = false;
+
+		// Predicted cursor as a fraction of the remote screen
+		this._cursor = {x: 0.5, y: 0.5};
+
+		this._startTime = 0;
+		this._startPos = null;
+		this._lastPos = null;
+		this._lastTime = 0;
+		this._maxTouches = 0;
+		this._moved = false;
+		this._dragging = false;
+		this._scrolling = false;
+		this._edgeTimer = null;
+		this._edgeDir = null;
+
+		this._overlay = document.createElement("div");
+		this._overlay.className = "trackpad-cursor hidden";
+		this._overlay.innerHTML = '<svg viewBox="0 0 24 24" width="22" height="22"><path d="M4 2l16 11.5-7 1.2 4.2 7.3-2.6 1.5-4.2-7.3L4 21z"/></svg>';
+		this._container.appendChild(this._overlay);
+		window.addEventListener("resize", () => this._renderCursor());
+	}
+
+	set active(v) {
+		this._active = !!v;
+		this._overlay.classList.toggle("hidden", !this._active);
+		if (!this._active) this.cancel();
+		this._renderCursor();
+	}
+
+	// Whether kvmd's mouse output is absolute
+	set absolute(v) { this._absolute = !!v; }
+
+	// Drop an in-progress gesture (buttons are released by the caller)
+	cancel() {
+		this._stopEdge();
+		this._dragging = false;
+		this._maxTouches = 0;
+		this._startPos = null;
+		this._lastPos = null;
+	}
+
+	handleTouchStart(ev) {
+		ev.preventDefault();
+		if (this._maxTouches === 0) {
+			this._startTime = Date.now();
+			this._startPos = this._centroid(ev.touches);
+			this._moved = false;
+			this._scrolling = false;
+			this._host.accel.reset();
+			// A touch that stops scroll momentum is not a tap
+			if (this._host.scroller.stop()) this._moved = true;
+		}
+		if (ev.touches.length === 2) this._host.scroller.begin();
+		this._maxTouches = Math.max(this._maxTouches, ev.touches.length);
+		this._stopEdge();
+		// Restart movement from the new centroid so a finger landing doesn't jump the cursor
+		this._lastPos = this._centroid(ev.touches);
+		this._lastTime = performance.now();
+
+		if (ev.touches.length === 3 && !this._dragging) {
+			this._dragging = true;
+			this._moved = true;
+			this._host.sendButton("left", true);
+		}
+	}
+
+	handleTouchMove(ev) {
+		ev.preventDefault();
+		if (!this._lastPos) return;
+		let pos = this._centroid(ev.touches);
+		let now = performance.now();
+		let dx = pos.x - this._lastPos.x;
+		let dy = pos.y - this._lastPos.y;
+		let dt = now - this._lastTime;
+		this._lastPos = pos;
+		this._lastTime = now;
+
+		if (Math.hypot(pos.x - this._startPos.x, pos.y - this._startPos.y) > this._host.getTimings().tapMaxDistance) {
+			this._moved = true;
+		}
+
+		if (ev.touches.length === 2 && !this._dragging) {
+			this._scrolling = true;
+			this._host.scroller.move(dx, dy);
+			return;
+		}
+		this._moveBy(dx, dy, dt);
+		this._updateEdge(pos);
+	}
+
+	handleTouchEnd(ev) {
+		ev.preventDefault();
+		if (this._scrolling && ev.touches.length < 2) {
+			this._scrolling = false;
+			this._host.scroller.release();
+		}
+		if (ev.touches.length > 0) {
+			this._lastPos = this._centroid(ev.touches);
+			this._lastTime = performance.now();
+			return;
+		}
+
+		this._stopEdge();
+		if (this._dragging) {
+			this._dragging = false;
+			this._host.sendButton("left", false);
+		} else if (!this._moved && (Date.now() - this._startTime) < this._host.getTimings().tapMaxDuration) {
+			let button = this._maxTouches === 1 ? "left" : this._maxTouches === 2 ? "right" : null;
+			if (button) {
+				this._host.sendButton(button, true);
+				setTimeout(() => this._host.sendButton(button, false), 50);
+			}
+		}
+		this._maxTouches = 0;
+		this._startPos = null;
+		this._lastPos = null;
+	}
+
+	_moveBy(dx, dy, dt) {
+		let geo = this._host.getGeometry();
+		if (!geo) return;
+		let delta = this._host.accel.apply(dx, dy, dt);
+		if (!delta.dx && !delta.dy) return;
+
+		// One relative count moves the remote cursor by about one remote pixel
+		this._cursor.x = Math.min(Math.max(this._cursor.x + delta.dx / geo.realWidth, 0), 1);
+		this._cursor.y = Math.min(Math.max(this._cursor.y + delta.dy / geo.realHeight, 0), 1);
+
+		if (this._absolute) {
+			this._host.sendAbsolute(this._cursor.x, this._cursor.y);
+		} else {
+			this._host.sendRelative(delta.dx, delta.dy);
+		}
+		this._renderCursor();
+	}
+
+	// A finger held inside EDGE_ZONE keeps pushing the cursor toward that edge,
+	// faster the closer it is, like running out of trackpad on a laptop
+	_updateEdge(pos) {
+		let w = this._container.clientWidth;
+		let h = this._container.clientHeight;
+		let depth = (d) => Math.max(0, (EDGE_ZONE - d) / EDGE_ZONE);
+		let dir = {
+			x: depth(w - pos.x) - depth(pos.x),
+			y: depth(h - pos.y) - depth(pos.y),
+		};
+		if (!dir.x && !dir.y) {
+			this._stopEdge();
+			return;
+		}
+		this._edgeDir = dir;
+		if (!this._edgeTimer) {
+			this._edgeTimer = setInterval(() => {
+				this._moveBy(this._edgeDir.x * EDGE_STEP, this._edgeDir.y * EDGE_STEP, EDGE_TICK);
+			}, EDGE_TICK);
+		}
+	}
+
+	_stopEdge() {
+		if (this._edgeTimer) {
+			clearInterval(this._edgeTimer);
+			this._edgeTimer = null;
+		}
+		this._edgeDir = null;
+	}
+
+	_renderCursor() {
+		if (!this._active) return;
+		let geo = this._host.getGeometry();
+		if (!geo) return;
+		this._overlay.style.left = Math.round(geo.x + this._cursor.x * geo.width) + "px";
+		this._overlay.style.top = Math.round(geo.y + this._cursor.y * geo.height) + "px";
+	}
+
+	_centroid(touches) {
+		let x = 0, y = 0;
+		for (let touch of touches) {
+			let pos = this._host.getTouchPos(touch);
+			x += pos.x;
+			y += pos.y;
+		}
+		return {x: x / touches.length, y: y / touches.length};
+	}
+}
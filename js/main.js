@@ -2,21 +2,40 @@
 
 // Main app initialization — wires together all modules.
 
-import {apiLogin, apiAuthCheck, apiPost} from "./api.js";
+import {apiLogin, apiAuthCheck, apiGet, apiPost, setAuthExpiredHandler} from "./api.js";
 import {KvmdWebSocket} from "./websocket.js";
 import {StreamManager} from "./stream.js";
 import {MouseHandler} from "./input/mouse.js";
-import {KeyboardHandler} from "./input/keyboard.js";
+import {ACCEL_PROFILES, parseCurve} from "./input/acceleration.js";
+import {KeyboardHandler, TEXT_LAYOUTS} from "./input/keyboard.js";
 import {TopBar} from "./ui/topbar.js";
 import {DrawerUI} from "./ui/drawer.js";
 import {KeyboardUI} from "./ui/keyboard-ui.js";
+import {KEYBOARD_LAYOUTS} from "./ui/keyboard-layouts.js";
 import {MousePanelUI} from "./ui/mouse-panel.js";
+import {PasteJobUI} from "./ui/paste-ui.js";
+import {MacroUI} from "./ui/macro-ui.js";
+import {MacroStore, MacroRecorder, MacroPlayer} from "./input/macros.js";
+import {ComboStore} from "./input/combos.js";
+import {ComboEditorUI} from "./ui/combo-editor.js";
+import {ESCAPE_KEYS, RemapStore} from "./input/shortcuts.js";
+import {RemapEditorUI} from "./ui/remap-editor.js";
+import {GestureStore} from "./input/gestures.js";
+import {GestureEditorUI} from "./ui/gesture-editor.js";
 import {ZoomController} from "./ui/zoom.js";
-import {ScrollWidget} from "./ui/scroll-widget.js";
+import {ScrollPresetStore, ScrollWidget, WIDGET_LAYOUTS} from "./ui/scroll-widget.js";
+import {ScrollPresetEditorUI} from "./ui/scroll-preset-editor.js";
 import {AtxPanel} from "./panels/atx.js";
 import {MsdPanel} from "./panels/msd.js";
 import {GpioPanel} from "./panels/gpio.js";
+import {HidPanel} from "./panels/hid.js";
 import {InfoPanel} from "./panels/info.js";
+import {HostProfileStore, applyProfileSettings} from "./profiles.js";
+import {HostProfileEditorUI} from "./ui/profile-editor.js";
+import {getSetting, setSetting, removeSetting, migrateSettings} from "./settings.js";
+import {SettingsTransferUI} from "./ui/settings-transfer.js";
+import {SettingsSync} from "./settings-sync.js";
+import {SettingsSyncUI} from "./ui/settings-sync-ui.js";
 
 class App {
 	constructor() {
@@ -29,16 +48,38 @@ class App {
 		this._drawer = null;
 		this._keyboardUI = null;
 		this._mousePanelUI = null;
+		this._pasteUI = null;
+		this._macroUI = null;
+		this._comboStore = null;
+		this._comboEditor = null;
+		this._remapStore = null;
+		this._remapEditor = null;
+		this._gestureStore = null;
+		this._gestureEditor = null;
 		this._atxPanel = null;
 		this._msdPanel = null;
 		this._gpioPanel = null;
+		this._hidPanel = null;
 		this._infoPanel = null;
 		this._scrollWidget = null;
+		this._scrollPresetStore = null;
+		this._scrollPresetEditor = null;
+		this._hostProfiles = null;
+		this._hostProfileEditor = null;
+		this._settingsTransfer = null;
+		this._settingsSync = null;
+		this._settingsSyncUI = null;
+		this._gpioProfileKey = null;
+		this._reauthPromise = null;
 	}
 
 	async init() {
+		// Move settings saved under older key names before anything reads them
+		migrateSettings();
+		this._settingsSync = new SettingsSync();
+
 		// Apply saved theme (with auto-detection support)
-		this._applyTheme(localStorage.getItem("pikvm.tablet.theme") || "dark");
+		this._applyTheme(getSetting("theme"));
 
 		// Check if already authenticated
 		let authed = false;
@@ -81,42 +122,107 @@ class App {
 	_showLogin() {
 		document.getElementById("login-screen").classList.remove("hidden");
 		document.getElementById("app").classList.add("hidden");
+		this._bindLoginForm(() => this._showApp());
+	}
 
+	// Session expired mid-use: pause the WebSocket and stream and show the login
+	// form over the app, keeping all module state. Resolves after a successful
+	// sign-in, so api.js can replay the request that failed.
+	_reauthenticate() {
+		if (this._reauthPromise) return this._reauthPromise;
+
+		this._ws.disconnect();
+		this._stream.stop();
+		this._keyboard.setCaptureEnabled(false);
+		this._topBar.setConnectionState("disconnected");
+
+		let screen = document.getElementById("login-screen");
+		let notice = document.getElementById("login-notice");
+		document.getElementById("login-password").value = "";
+		document.getElementById("login-error").classList.add("hidden");
+		screen.classList.add("overlay");
+		notice.classList.remove("hidden");
+		screen.classList.remove("hidden");
+
+		this._reauthPromise = new Promise(resolve => {
+			this._bindLoginForm(() => {
+				screen.classList.add("hidden");
+				screen.classList.remove("overlay");
+				notice.classList.add("hidden");
+				this._reauthPromise = null;
+
+				this._topBar.setConnectionState("connecting");
+				this._ws.connect();
+				this._stream.start(getSetting("streamMode"));
+				resolve();
+			});
+		});
+		return this._reauthPromise;
+	}
+
+	_bindLoginForm(onSuccess) {
 		let form = document.getElementById("login-form");
 		let errorEl = document.getElementById("login-error");
 		let loginBtn = document.getElementById("login-button");
+		let userInput = document.getElementById("login-user");
+		let codeInput = document.getElementById("login-code");
+		let rememberCheck = document.getElementById("login-remember");
+
+		// Restore the remembered username for this device
+		let savedUser = getSetting("loginUser");
+		rememberCheck.checked = savedUser !== null;
+		if (savedUser !== null && !userInput.value) {
+			userInput.value = savedUser;
+		}
+
+		let showError = (text) => {
+			errorEl.textContent = text;
+			errorEl.classList.remove("hidden");
+		};
 
 		form.onsubmit = async (ev) => {
 			ev.preventDefault();
 			errorEl.classList.add("hidden");
-			loginBtn.disabled = true;
 
-			let user = document.getElementById("login-user").value;
+			let user = userInput.value;
 			let passwd = document.getElementById("login-password").value;
+			let code = codeInput.value.replace(/\s+/g, "");
+
+			if (code && !/^\d{6}$/.test(code)) {
+				showError("The one-time code must be 6 digits.");
+				return;
+			}
 
+			loginBtn.disabled = true;
 			try {
-				let status = await apiLogin(user, passwd);
+				let status = await apiLogin(user, passwd, code);
 				if (status === 200) {
-					this._showApp();
-				} else if (status === 403) {
-					errorEl.textContent = "Invalid username or password.";
-					errorEl.classList.remove("hidden");
+					if (rememberCheck.checked) {
+						setSetting("loginUser", user);
+					} else {
+						removeSetting("loginUser");
+					}
+					codeInput.value = "";
+					onSuccess();
 				} else {
-					errorEl.textContent = "Login failed (status " + status + ").";
-					errorEl.classList.remove("hidden");
+					showError(_loginErrorMessage(status, !!code));
 				}
 			} catch (e) {
-				errorEl.textContent = "Connection error. Is PiKVM reachable?";
-				errorEl.classList.remove("hidden");
+				showError("Connection error. Is PiKVM reachable?");
 			}
 
+			// TOTP codes are single-use — clear it after every attempt
+			codeInput.value = "";
 			loginBtn.disabled = false;
 		};
 	}
 
-	_showApp() {
+	async _showApp() {
 		document.getElementById("login-screen").classList.add("hidden");
 		document.getElementById("app").classList.remove("hidden");
+		// Take in changes from other tablets before any module reads its settings
+		await this._settingsSync.syncAtStartup();
+		this._applyTheme(getSetting("theme"));
 		this._initApp();
 	}
 
@@ -124,6 +230,9 @@ class App {
 		// WebSocket
 		this._ws = new KvmdWebSocket();
 
+		// Any REST call rejected with 401/403 waits for re-login, then replays
+		setAuthExpiredHandler(() => this._reauthenticate());
+
 		// UI components
 		this._topBar = new TopBar();
 		this._drawer = new DrawerUI();
@@ -142,7 +251,8 @@ class App {
 		};
 
 		// Scroll widget
-		this._scrollWidget = new ScrollWidget(this._ws);
+		this._scrollPresetStore = new ScrollPresetStore();
+		this._scrollWidget = new ScrollWidget(this._ws, this._scrollPresetStore);
 		document.getElementById("scroll-widget-toggle-btn").addEventListener("click", () => {
 			this._scrollWidget.toggle();
 		});
@@ -150,6 +260,28 @@ class App {
 		this._keyboardUI = new KeyboardUI(this._keyboard);
 		this._mousePanelUI = new MousePanelUI(this._mouse, this._keyboardUI);
 
+		// Clipboard and drawer pastes go through the paste job overlay
+		this._pasteUI = new PasteJobUI(this._keyboard);
+		this._mousePanelUI.onPaste = (text) => this._pasteUI.paste(text);
+
+		// Key combo row, rendered from the active combo profile
+		this._comboStore = new ComboStore();
+		this._comboEditor = new ComboEditorUI(this._comboStore);
+		this._keyboardUI.renderCombos(this._comboStore.activeCombos());
+		this._comboStore.onChange = () => {
+			this._comboEditor.render();
+			this._keyboardUI.renderCombos(this._comboStore.activeCombos());
+		};
+
+		// Macros: record from the on-screen / captured keyboard, play back with abort.
+		// Keys a macro sends while playing are not recorded.
+		let macroRecorder = new MacroRecorder();
+		let macroPlayer = new MacroPlayer(this._keyboard, this._mouse);
+		this._keyboard.onKeyEvent = (key, state) => {
+			if (!macroPlayer.playing) macroRecorder.record(key, state);
+		};
+		this._macroUI = new MacroUI(new MacroStore(), macroRecorder, macroPlayer);
+
 		// Text input close button
 		document.getElementById("text-input-close-btn").addEventListener("click", () => {
 			this._keyboardUI.hideTextInput();
@@ -161,7 +293,7 @@ class App {
 		pasteSendBtn.addEventListener("click", () => {
 			let text = pasteInput.value;
 			if (text) {
-				this._keyboard.sendTextSlow(text);
+				this._pasteUI.paste(text);
 				pasteInput.value = "";
 			}
 		});
@@ -176,6 +308,7 @@ class App {
 		this._atxPanel = new AtxPanel();
 		this._msdPanel = new MsdPanel();
 		this._gpioPanel = new GpioPanel();
+		this._hidPanel = new HidPanel();
 		this._infoPanel = new InfoPanel();
 
 		// Stream
@@ -184,15 +317,13 @@ class App {
 		this._stream = new StreamManager(videoEl, imageEl);
 
 		// Audio: apply saved volume (default 100%) and unmute
-		let savedVolume = localStorage.getItem("pikvm.tablet.audioVolume");
-		if (savedVolume === null) savedVolume = "100";
-		videoEl.volume = parseInt(savedVolume) / 100;
-		videoEl.muted = parseInt(savedVolume) === 0;
+		let savedVolume = getSetting("audioVolume");
+		videoEl.volume = savedVolume / 100;
+		videoEl.muted = savedVolume === 0;
 
 		// Mic: apply saved preference (default on)
-		let savedMic = localStorage.getItem("pikvm.tablet.micEnabled");
-		if (savedMic === null) savedMic = "true";
-		this._stream.micEnabled = savedMic === "true";
+		let savedMic = getSetting("micEnabled");
+		this._stream.micEnabled = savedMic;
 
 		// Wire up stream geometry for mouse coordinate mapping
 		this._mouse.getStreamGeometry = () => {
@@ -208,6 +339,8 @@ class App {
 				y: Math.round((viewH - ratio * realH) / 2),
 				width: Math.round(ratio * realW),
 				height: Math.round(ratio * realH),
+				realWidth: realW,
+				realHeight: realH,
 			};
 		};
 
@@ -227,22 +360,51 @@ class App {
 
 		this._ws.on("close", () => {
 			this._topBar.setConnectionState("disconnected");
+			// kvmd drops held keys with the session; forget them locally too
+			this._releaseAllInput();
+		});
+
+		this._ws.on("reconnecting", (info) => {
+			this._topBar.setReconnecting(info);
 		});
 
+		this._ws.on("auth_expired", () => this._reauthenticate());
+
+		this._topBar.onReconnectNow = () => {
+			this._topBar.setConnectionState("connecting");
+			this._ws.reconnectNow();
+		};
+
 		this._ws.on("atx", (ev) => this._atxPanel.setState(ev));
 		this._ws.on("msd", (ev) => this._msdPanel.setState(ev));
-		this._ws.on("gpio", (ev) => this._gpioPanel.setState(ev));
+		this._ws.on("gpio", (ev) => {
+			this._gpioPanel.setState(ev);
+			this._autoSelectHostProfile(ev && ev.state);
+		});
 		this._ws.on("info", (ev) => this._infoPanel.setState(ev));
 
+		this._hidPanel.onOnlineChange = (keyboardOnline, mouseOnline) => {
+			if (!keyboardOnline) this._keyboardUI.releaseAll();
+			this._keyboard.hidOnline = keyboardOnline;
+			this._mouse.hidOnline = mouseOnline;
+			this._topBar.setHidState(keyboardOnline, mouseOnline);
+		};
+
 		this._ws.on("hid", (ev) => {
-			if (ev && ev.keyboard) {
-				// Could update keyboard LED indicators
+			this._hidPanel.setState(ev);
+			if (ev && ev.keyboard && ev.keyboard.leds) {
+				this._keyboard.leds = ev.keyboard.leds;
+				this._topBar.setKeyboardLeds(ev.keyboard.leds);
+				this._keyboardUI.setLeds(ev.keyboard.leds);
 			}
 			if (ev && ev.mouse) {
 				let abs = ev.mouse.absolute;
-				// Update mouse mode if server forces it
+				// Update mouse mode if server forces it (trackpad mode works with both)
 				if (abs !== undefined) {
-					this._mouse.mode = abs ? "absolute" : "relative";
+					this._mouse.hidAbsolute = abs;
+					if (this._mouse.mode !== "trackpad") {
+						this._mouse.mode = abs ? "absolute" : "relative";
+					}
 				}
 			}
 			if (ev && ev.jiggler !== undefined) {
@@ -254,13 +416,14 @@ class App {
 			this._stream.updateState(ev);
 		});
 
-		// Drawer open/close toggles keyboard capture
+		// Drawer open/close suspends keyboard capture
 		this._drawer.onOpen = () => {
-			this._keyboard.setCaptureEnabled(false);
+			this._keyboard.suspendCapture("drawer");
 			this._mouse.enabled = false;
 		};
 
 		this._drawer.onClose = () => {
+			this._keyboard.resumeCapture("drawer");
 			this._mouse.enabled = true;
 		};
 
@@ -309,9 +472,9 @@ class App {
 
 		// Settings: Stream mode
 		let settingStreamMode = document.getElementById("setting-stream-mode");
-		settingStreamMode.value = localStorage.getItem("pikvm.tablet.streamMode") || "auto";
+		settingStreamMode.value = getSetting("streamMode");
 		settingStreamMode.addEventListener("change", () => {
-			localStorage.setItem("pikvm.tablet.streamMode", settingStreamMode.value);
+			setSetting("streamMode", settingStreamMode.value);
 			this._stream.stop();
 			this._stream.start(settingStreamMode.value);
 		});
@@ -324,42 +487,247 @@ class App {
 		settingAudioVolume.addEventListener("input", () => {
 			let val = parseInt(settingAudioVolume.value);
 			audioVolumeValue.textContent = val + "%";
-			localStorage.setItem("pikvm.tablet.audioVolume", String(val));
+			setSetting("audioVolume", val);
 			videoEl.volume = val / 100;
 			videoEl.muted = val === 0;
 		});
 
 		// Settings: Microphone toggle
 		let settingMicToggle = document.getElementById("setting-mic-toggle");
-		settingMicToggle.classList.toggle("on", savedMic === "true");
-		settingMicToggle.setAttribute("aria-checked", savedMic === "true" ? "true" : "false");
+		settingMicToggle.classList.toggle("on", savedMic);
+		settingMicToggle.setAttribute("aria-checked", savedMic ? "true" : "false");
 		settingMicToggle.addEventListener("click", () => {
 			let newState = !settingMicToggle.classList.contains("on");
 			settingMicToggle.classList.toggle("on", newState);
 			settingMicToggle.setAttribute("aria-checked", newState ? "true" : "false");
-			localStorage.setItem("pikvm.tablet.micEnabled", newState ? "true" : "false");
+			setSetting("micEnabled", newState);
 			this._stream.micEnabled = newState;
 		});
 
 		// Settings: Mouse mode
 		let settingMouseMode = document.getElementById("setting-mouse-mode");
-		settingMouseMode.value = localStorage.getItem("pikvm.tablet.mouseMode") || "absolute";
+		settingMouseMode.value = getSetting("mouseMode");
 		settingMouseMode.addEventListener("change", () => {
-			localStorage.setItem("pikvm.tablet.mouseMode", settingMouseMode.value);
+			setSetting("mouseMode", settingMouseMode.value);
 			this._mouse.mode = settingMouseMode.value;
 		});
 
+		// Settings: Pen precision mode (direct pen mapping instead of touch gestures)
+		let penToggle = document.getElementById("setting-pen-toggle");
+		let savedPen = getSetting("penInput");
+		penToggle.classList.toggle("on", savedPen);
+		penToggle.setAttribute("aria-checked", savedPen ? "true" : "false");
+		this._mouse.penInput = savedPen;
+		penToggle.addEventListener("click", () => {
+			let newState = !penToggle.classList.contains("on");
+			penToggle.classList.toggle("on", newState);
+			penToggle.setAttribute("aria-checked", newState ? "true" : "false");
+			setSetting("penInput", newState);
+			this._mouse.penInput = newState;
+		});
+
+		// Settings: Text typing method (kvmd print vs. client-side key events)
+		let settingTextMode = document.getElementById("setting-text-mode");
+		settingTextMode.value = getSetting("textMode");
+		this._keyboard.textMode = settingTextMode.value;
+		settingTextMode.addEventListener("change", () => {
+			setSetting("textMode", settingTextMode.value);
+			this._keyboard.textMode = settingTextMode.value;
+		});
+
+		// Settings: On-screen keyboard layout (visual only)
+		let settingKeyboardLayout = document.getElementById("setting-keyboard-layout");
+		for (let [id, layout] of Object.entries(KEYBOARD_LAYOUTS)) {
+			let opt = document.createElement("option");
+			opt.value = id;
+			opt.textContent = layout.name;
+			settingKeyboardLayout.appendChild(opt);
+		}
+		settingKeyboardLayout.value = getSetting("keyboardLayout");
+		this._keyboardUI.layout = settingKeyboardLayout.value;
+		settingKeyboardLayout.addEventListener("change", () => {
+			setSetting("keyboardLayout", settingKeyboardLayout.value);
+			this._keyboardUI.layout = settingKeyboardLayout.value;
+		});
+
+		// Settings: numpad next to the full keyboard
+		let numpadToggle = document.getElementById("setting-numpad-toggle");
+		let showNumpad = getSetting("showNumpad");
+		numpadToggle.classList.toggle("on", showNumpad);
+		numpadToggle.setAttribute("aria-checked", showNumpad ? "true" : "false");
+		this._keyboardUI.showNumpad = showNumpad;
+		numpadToggle.addEventListener("click", () => {
+			let newState = !numpadToggle.classList.contains("on");
+			numpadToggle.classList.toggle("on", newState);
+			numpadToggle.setAttribute("aria-checked", newState ? "true" : "false");
+			setSetting("showNumpad", newState);
+			this._keyboardUI.showNumpad = newState;
+		});
+
+		// Full keyboard visibility is toggled from the keyboard header
+		this._keyboardUI.setFullKeyboard(getSetting("keyboardFull"));
+		this._keyboardUI.onFullKeyboardChange = (visible) => {
+			setSetting("keyboardFull", visible);
+		};
+
+		// Settings: Key auto-repeat delay and rate for held on-screen keys
+		let settingRepeatDelay = document.getElementById("setting-repeat-delay");
+		let repeatDelayValue = document.getElementById("setting-repeat-delay-value");
+		let showRepeatDelay = (val) => {
+			repeatDelayValue.textContent = val === "0" ? "Off" : val + " ms";
+		};
+		settingRepeatDelay.value = getSetting("repeatDelay");
+		showRepeatDelay(settingRepeatDelay.value);
+		this._keyboardUI.repeatDelay = settingRepeatDelay.value;
+		settingRepeatDelay.addEventListener("input", () => {
+			let val = settingRepeatDelay.value;
+			showRepeatDelay(val);
+			setSetting("repeatDelay", parseInt(val));
+			this._keyboardUI.repeatDelay = val;
+		});
+
+		let settingRepeatRate = document.getElementById("setting-repeat-rate");
+		let repeatRateValue = document.getElementById("setting-repeat-rate-value");
+		settingRepeatRate.value = getSetting("repeatRate");
+		repeatRateValue.textContent = settingRepeatRate.value + "/s";
+		this._keyboardUI.repeatRate = settingRepeatRate.value;
+		settingRepeatRate.addEventListener("input", () => {
+			let val = settingRepeatRate.value;
+			repeatRateValue.textContent = val + "/s";
+			setSetting("repeatRate", parseInt(val));
+			this._keyboardUI.repeatRate = val;
+		});
+
+		// Settings: What to do when a hardware keyboard is detected
+		let settingKbDetect = document.getElementById("setting-kb-detect");
+		settingKbDetect.value = getSetting("kbDetectMode");
+		settingKbDetect.addEventListener("change", () => {
+			setSetting("kbDetectMode", settingKbDetect.value);
+		});
+
+		this._keyboard.onPhysicalKeyboard = () => {
+			setSetting("kbSeen", true);
+			this._topBar.showCaptureButton(true);
+			if (this._keyboard.captureEnabled) return;
+			if (settingKbDetect.value === "auto") {
+				this._keyboard.setCaptureEnabled(true);
+			} else if (settingKbDetect.value === "prompt") {
+				this._topBar.showCapturePrompt();
+			}
+		};
+
+		// "Remember" turns the answer into the detection setting for this device
+		this._topBar.onCapturePromptAnswer = (capture, remember) => {
+			if (capture) this._keyboard.setCaptureEnabled(true);
+			if (remember) {
+				settingKbDetect.value = capture ? "auto" : "off";
+				setSetting("kbDetectMode", settingKbDetect.value);
+			}
+		};
+
+		// Settings: Host-escape chord that toggles physical keyboard capture
+		let settingEscapeKey = document.getElementById("setting-escape-key");
+		for (let [key, name] of Object.entries(ESCAPE_KEYS)) {
+			let opt = document.createElement("option");
+			opt.value = key;
+			opt.textContent = name;
+			settingEscapeKey.appendChild(opt);
+		}
+		settingEscapeKey.value = getSetting("escapeKey");
+		this._keyboard.escapeKey = settingEscapeKey.value;
+		settingEscapeKey.addEventListener("change", () => {
+			setSetting("escapeKey", settingEscapeKey.value);
+			this._keyboard.escapeKey = settingEscapeKey.value;
+		});
+
+		// Settings: Shortcut remaps for chords the tablet OS intercepts
+		this._remapStore = new RemapStore();
+		this._remapEditor = new RemapEditorUI(this._remapStore);
+		this._keyboard.remaps = this._remapStore.list();
+		this._remapStore.onChange = () => {
+			this._remapEditor.render();
+			this._keyboard.remaps = this._remapStore.list();
+		};
+
+		// Settings: Touch gesture bindings and timings
+		this._gestureStore = new GestureStore();
+		this._gestureEditor = new GestureEditorUI(this._gestureStore);
+		this._mouse.gestures = this._gestureStore.active();
+		this._mouse.onKeyCombo = (keys) => this._keyboard.sendCombo(keys);
+		this._gestureStore.onChange = () => {
+			this._gestureEditor.render();
+			this._mouse.gestures = this._gestureStore.active();
+		};
+
+		// Settings: Remote layout for key-event typing
+		let settingTextLayout = document.getElementById("setting-text-layout");
+		for (let [id, name] of Object.entries(TEXT_LAYOUTS)) {
+			let opt = document.createElement("option");
+			opt.value = id;
+			opt.textContent = name;
+			settingTextLayout.appendChild(opt);
+		}
+		settingTextLayout.value = getSetting("textLayout");
+		this._keyboard.textLayout = settingTextLayout.value;
+		settingTextLayout.addEventListener("change", () => {
+			setSetting("textLayout", settingTextLayout.value);
+			this._keyboard.textLayout = settingTextLayout.value;
+		});
+
+		// Settings: Paste keyboard layout (kvmd keymap used by /api/hid/print)
+		let settingPasteKeymap = document.getElementById("setting-paste-keymap");
+		let savedKeymap = getSetting("pasteKeymap");
+		this._keyboard.pasteKeymap = savedKeymap;
+		apiGet("hid/keymaps").then(data => {
+			let keymaps = data.result.keymaps;
+			settingPasteKeymap.options[0].textContent = "Server default (" + keymaps.default + ")";
+			for (let name of keymaps.available) {
+				let opt = document.createElement("option");
+				opt.value = name;
+				opt.textContent = name;
+				settingPasteKeymap.appendChild(opt);
+			}
+			settingPasteKeymap.value = savedKeymap;
+		}).catch(e => console.warn("Failed to load keymaps:", e));
+		settingPasteKeymap.addEventListener("change", () => {
+			setSetting("pasteKeymap", settingPasteKeymap.value);
+			this._keyboard.pasteKeymap = settingPasteKeymap.value;
+		});
+
+		// Settings: Paste confirmation threshold
+		let settingPasteConfirm = document.getElementById("setting-paste-confirm");
+		settingPasteConfirm.value = getSetting("pasteConfirmThreshold");
+		this._pasteUI.confirmThreshold = settingPasteConfirm.value;
+		settingPasteConfirm.addEventListener("change", () => {
+			setSetting("pasteConfirmThreshold", settingPasteConfirm.value);
+			this._pasteUI.confirmThreshold = settingPasteConfirm.value;
+		});
+
+		// Settings: Caps Lock auto-correct before sendText/sendTextSlow (default on)
+		let capsCorrectToggle = document.getElementById("setting-caps-correct-toggle");
+		let savedCapsCorrect = getSetting("capsAutoCorrect");
+		capsCorrectToggle.classList.toggle("on", savedCapsCorrect);
+		capsCorrectToggle.setAttribute("aria-checked", savedCapsCorrect ? "true" : "false");
+		this._keyboard.capsAutoCorrect = savedCapsCorrect;
+		capsCorrectToggle.addEventListener("click", () => {
+			let newState = !capsCorrectToggle.classList.contains("on");
+			capsCorrectToggle.classList.toggle("on", newState);
+			capsCorrectToggle.setAttribute("aria-checked", newState ? "true" : "false");
+			setSetting("capsAutoCorrect", newState);
+			this._keyboard.capsAutoCorrect = newState;
+		});
+
 		// Settings: Theme
 		let settingTheme = document.getElementById("setting-theme");
-		settingTheme.value = localStorage.getItem("pikvm.tablet.theme") || "dark";
+		settingTheme.value = getSetting("theme");
 		settingTheme.addEventListener("change", () => {
-			localStorage.setItem("pikvm.tablet.theme", settingTheme.value);
+			setSetting("theme", settingTheme.value);
 			this._applyTheme(settingTheme.value);
 		});
 
 		// Listen for system theme changes when auto mode is active
 		window.matchMedia("(prefers-color-scheme: dark)").addEventListener("change", () => {
-			let currentTheme = localStorage.getItem("pikvm.tablet.theme") || "dark";
+			let currentTheme = getSetting("theme");
 			if (currentTheme === "auto") {
 				this._applyTheme("auto");
 			}
@@ -376,38 +744,121 @@ class App {
 		// Settings: Mouse sensitivity
 		let settingSensitivity = document.getElementById("setting-mouse-sensitivity");
 		let sensitivityValue = document.getElementById("setting-mouse-sensitivity-value");
-		let savedSensitivity = localStorage.getItem("pikvm.tablet.mouseSensitivity") || "1";
+		let savedSensitivity = getSetting("mouseSensitivity");
 		settingSensitivity.value = savedSensitivity;
 		sensitivityValue.textContent = savedSensitivity + "x";
 		this._mouse.sensitivity = savedSensitivity;
 		settingSensitivity.addEventListener("input", () => {
 			let val = settingSensitivity.value;
 			sensitivityValue.textContent = val + "x";
-			localStorage.setItem("pikvm.tablet.mouseSensitivity", val);
+			setSetting("mouseSensitivity", parseFloat(val));
 			this._mouse.sensitivity = val;
 		});
 
-		// Settings: Scroll sensitivity (two-finger scroll only — widget uses presets)
+		// Settings: Relative mode acceleration profile and custom curve
+		let settingAccel = document.getElementById("setting-accel-profile");
+		let accelCurveRow = document.getElementById("setting-accel-curve-row");
+		let settingAccelCurve = document.getElementById("setting-accel-curve");
+		let accelCurveError = document.getElementById("setting-accel-curve-error");
+		for (let [id, profile] of Object.entries(ACCEL_PROFILES)) {
+			let opt = document.createElement("option");
+			opt.value = id;
+			opt.textContent = profile.name;
+			settingAccel.appendChild(opt);
+		}
+		let applyAccelCurve = () => {
+			try {
+				this._mouse.accelCurve = parseCurve(settingAccelCurve.value);
+				accelCurveError.classList.add("hidden");
+				return true;
+			} catch (e) {
+				accelCurveError.textContent = e.message;
+				accelCurveError.classList.remove("hidden");
+				return false;
+			}
+		};
+		settingAccel.value = getSetting("accelProfile");
+		settingAccelCurve.value = getSetting("accelCurve");
+		accelCurveRow.classList.toggle("hidden", settingAccel.value !== "custom");
+		this._mouse.accelProfile = settingAccel.value;
+		applyAccelCurve();
+		settingAccel.addEventListener("change", () => {
+			setSetting("accelProfile", settingAccel.value);
+			accelCurveRow.classList.toggle("hidden", settingAccel.value !== "custom");
+			this._mouse.accelProfile = settingAccel.value;
+		});
+		settingAccelCurve.addEventListener("change", () => {
+			if (applyAccelCurve()) {
+				setSetting("accelCurve", settingAccelCurve.value);
+			}
+		});
+
+		// Settings: Scroll sensitivity (two-finger scroll and mouse wheel — widget uses presets)
 		let settingScrollSensitivity = document.getElementById("setting-scroll-sensitivity");
 		let scrollSensitivityValue = document.getElementById("setting-scroll-sensitivity-value");
-		let savedScrollSensitivity = localStorage.getItem("pikvm.tablet.scrollSensitivity") || "2";
+		let savedScrollSensitivity = getSetting("scrollSensitivity");
 		settingScrollSensitivity.value = savedScrollSensitivity;
 		scrollSensitivityValue.textContent = savedScrollSensitivity;
 		this._mouse.scrollSensitivity = savedScrollSensitivity;
 		settingScrollSensitivity.addEventListener("input", () => {
 			let val = settingScrollSensitivity.value;
 			scrollSensitivityValue.textContent = val;
-			localStorage.setItem("pikvm.tablet.scrollSensitivity", val);
+			setSetting("scrollSensitivity", parseFloat(val));
 			this._mouse.scrollSensitivity = val;
 		});
 
-		// Settings: Scroll widget preset (jog shuttle sensitivity)
-		let settingScrollPreset = document.getElementById("setting-scroll-preset");
-		settingScrollPreset.value = this._scrollWidget.preset;
-		settingScrollPreset.addEventListener("change", () => {
-			this._scrollWidget.preset = settingScrollPreset.value;
+		// Settings: Two-finger scroll direction (separate from the widget's macOS boost)
+		let settingScrollDirection = document.getElementById("setting-scroll-direction");
+		settingScrollDirection.value = getSetting("scrollDirection");
+		this._mouse.scrollNatural = settingScrollDirection.value === "natural";
+		settingScrollDirection.addEventListener("change", () => {
+			setSetting("scrollDirection", settingScrollDirection.value);
+			this._mouse.scrollNatural = settingScrollDirection.value === "natural";
+		});
+
+		// Settings: Two-finger scroll momentum
+		let momentumToggle = document.getElementById("setting-scroll-momentum-toggle");
+		let savedMomentum = getSetting("scrollMomentum");
+		momentumToggle.classList.toggle("on", savedMomentum);
+		momentumToggle.setAttribute("aria-checked", savedMomentum ? "true" : "false");
+		this._mouse.scrollMomentum = savedMomentum;
+		momentumToggle.addEventListener("click", () => {
+			let newState = !momentumToggle.classList.contains("on");
+			momentumToggle.classList.toggle("on", newState);
+			momentumToggle.setAttribute("aria-checked", newState ? "true" : "false");
+			setSetting("scrollMomentum", newState);
+			this._mouse.scrollMomentum = newState;
+		});
+
+		// Settings: Scroll widget layout (vertical / horizontal strip or joystick)
+		let settingScrollLayout = document.getElementById("setting-scroll-layout");
+		for (let [id, name] of Object.entries(WIDGET_LAYOUTS)) {
+			let opt = document.createElement("option");
+			opt.value = id;
+			opt.textContent = name;
+			settingScrollLayout.appendChild(opt);
+		}
+		settingScrollLayout.value = this._scrollWidget.layout;
+		settingScrollLayout.addEventListener("change", () => {
+			this._scrollWidget.layout = settingScrollLayout.value;
 		});
 
+		// Settings: Scroll widget tick feedback
+		let settingScrollFeedback = document.getElementById("setting-scroll-feedback");
+		settingScrollFeedback.value = this._scrollWidget.tickFeedback;
+		settingScrollFeedback.addEventListener("change", () => {
+			this._scrollWidget.tickFeedback = settingScrollFeedback.value;
+		});
+
+		// Settings: Scroll widget presets (jog shuttle sensitivity)
+		this._scrollPresetEditor = new ScrollPresetEditorUI(this._scrollPresetStore, this._scrollWidget);
+		this._scrollPresetStore.onChange = () => {
+			if (!this._scrollPresetStore.has(this._scrollWidget.preset)) {
+				this._scrollWidget.preset = this._scrollPresetStore.list()[0].id;
+			}
+			this._scrollPresetEditor.render();
+		};
+
 		// Settings: macOS host scroll toggle
 		let macScrollToggle = document.getElementById("setting-macos-scroll-toggle");
 		macScrollToggle.classList.toggle("on", this._scrollWidget.macMode);
@@ -419,6 +870,25 @@ class App {
 			this._scrollWidget.macMode = newState;
 		});
 
+		// Settings: Host profiles (set up last: they drive the controls above)
+		this._hostProfiles = new HostProfileStore();
+		this._hostProfileEditor = new HostProfileEditorUI(this._hostProfiles);
+		this._hostProfileEditor.onSelect = (id) => this._selectHostProfile(id);
+		this._topBar.onHostProfileSelect = (id) => this._selectHostProfile(id);
+		this._topBar.setHostProfiles(this._hostProfiles.profiles(), this._hostProfiles.activeId);
+		this._hostProfiles.onChange = () => {
+			this._hostProfileEditor.render();
+			this._topBar.setHostProfiles(this._hostProfiles.profiles(), this._hostProfiles.activeId);
+		};
+		this._gpioPanel.onChannelsChange = (channels) => this._hostProfileEditor.setGpioChannels(channels);
+
+		// Settings: Export / import / reset of everything above
+		this._settingsTransfer = new SettingsTransferUI();
+
+		// Settings: Sync with the PiKVM, per user
+		this._settingsSyncUI = new SettingsSyncUI(this._settingsSync);
+		this._settingsSync.onChange = () => this._settingsSyncUI.render();
+
 		// Apply saved mouse mode
 		this._mouse.mode = settingMouseMode.value;
 
@@ -429,8 +899,17 @@ class App {
 		let preferredStreamMode = settingStreamMode.value;
 		this._stream.start(preferredStreamMode);
 
-		// Show keyboard capture button (initially hidden, shown when physical keyboard detected)
-		this._topBar.showCaptureButton(true);
+		// Show keyboard capture button (initially hidden, shown when physical keyboard detected
+		// now or on an earlier visit from this device)
+		this._topBar.showCaptureButton(getSetting("kbSeen"));
+
+		// Never leave keys or buttons held on the remote when the page loses
+		// focus or goes to the background (key-up events would be missed)
+		window.addEventListener("blur", () => this._releaseAllInput());
+		document.addEventListener("visibilitychange", () => {
+			if (document.hidden) this._releaseAllInput();
+		});
+		this._topBar.onReleaseAll = () => this._releaseAllInput();
 
 		// Prevent context menu on long press
 		document.addEventListener("contextmenu", (ev) => {
@@ -440,6 +919,47 @@ class App {
 			ev.preventDefault();
 		});
 	}
+
+	_selectHostProfile(id) {
+		this._hostProfiles.activeId = id;
+		applyProfileSettings(this._hostProfiles.settings(id));
+	}
+
+	// Follow the GPIO channel wired to a KVM switch. Only a change of its
+	// state switches profiles, so a manual pick sticks until the switch moves.
+	_autoSelectHostProfile(state) {
+		if (!this._hostProfiles) return;
+		let channel = this._hostProfiles.gpio.channel;
+		if (!channel || !state || !(channel in state)) return;
+		let key = channel + ":" + !!state[channel];
+		if (key === this._gpioProfileKey) return;
+		this._gpioProfileKey = key;
+		let id = this._hostProfiles.profileForGpio(state);
+		if (id && id !== this._hostProfiles.activeId) this._selectHostProfile(id);
+	}
+
+	// Panic release: every key, latched modifier and mouse button
+	_releaseAllInput() {
+		this._keyboardUI.releaseAll();
+		this._keyboard.releaseAll();
+		this._mouse.releaseAll();
+	}
+}
+
+// kvmd answers a failed login with 401/403 whether the password or the TOTP
+// code was wrong, so whether a code was entered decides which hint to show.
+function _loginErrorMessage(status, hasCode) {
+	if (status === 401 || status === 403) {
+		// kvmd gives the same answer for a wrong password and a wrong code
+		if (hasCode) {
+			return "Invalid username, password or one-time code. If the code was right, wait for the next one and check the PiKVM clock.";
+		}
+		return "Invalid username or password. If two-factor authentication is enabled, also enter the one-time code.";
+	}
+	if (status === 429 || status === 503) {
+		return "Too many login attempts. Wait a minute and try again.";
+	}
+	return "Login failed (status " + status + ").";
 }
 
 // Boot
@@ -8,8 +8,12 @@ export class GpioPanel {
 	constructor() {
 		this._container = document.getElementById("gpio-channels");
 		this._channels = {};
+		this._onChannelsChange = null;
 	}
 
+	// cb([{channel, title}]) whenever the GPIO model is (re)built
+	set onChannelsChange(cb) { this._onChannelsChange = cb; }
+
 	setState(ev) {
 		if (!ev) {
 			this._container.innerHTML = '<p class="text-muted">No GPIO data available.</p>';
@@ -64,7 +68,7 @@ export class GpioPanel {
 							.catch(e => console.error("GPIO switch failed:", e));
 					});
 
-					this._channels[item.channel] = {type: "switch", element: sw};
+					this._channels[item.channel] = {type: "switch", element: sw, title: item.title || item.channel};
 					rowEl.appendChild(label);
 					rowEl.appendChild(sw);
 					this._container.appendChild(rowEl);
@@ -91,6 +95,7 @@ export class GpioPanel {
 					this._channels[item.channel] = {
 						type: "indicator",
 						element: indicator,
+						title: item.title || item.channel,
 					};
 
 					rowEl.appendChild(label);
@@ -103,5 +108,8 @@ export class GpioPanel {
 		if (Object.keys(this._channels).length === 0) {
 			this._container.innerHTML = '<p class="text-muted">No GPIO channels configured.</p>';
 		}
+		if (this._onChannelsChange) {
+			this._onChannelsChange(Object.entries(this._channels).map(([channel, c]) => ({channel: channel, title: c.title})));
+		}
 	}
 }
@@ -0,0 +1,104 @@
+"use strict";
+
+// HID status panel — online state and keyboard/mouse output selection
+
+import {apiPost} from "../api.js";
+
+const OUTPUT_LABELS = {
+	usb: "USB",
+	usb_win98: "USB (Win98)",
+	usb_rel: "USB (relative)",
+	ps2: "PS/2",
+	disabled: "Disabled",
+};
+
+export class HidPanel {
+	constructor() {
+		this._onlineLed = document.getElementById("hid-online-led");
+		this._onlineText = document.getElementById("hid-online-text");
+		this._keyboardText = document.getElementById("hid-keyboard-text");
+		this._mouseText = document.getElementById("hid-mouse-text");
+		this._keyboardOutput = document.getElementById("hid-keyboard-output");
+		this._mouseOutput = document.getElementById("hid-mouse-output");
+		this._keyboardOutputRow = document.getElementById("hid-keyboard-output-row");
+		this._mouseOutputRow = document.getElementById("hid-mouse-output-row");
+		this._onOnlineChange = null;
+
+		// kvmd may send partial hid events, so keep the merged state
+		this._state = {online: true, busy: false, keyboard: {online: true}, mouse: {online: true}};
+
+		this._keyboardOutput.addEventListener("change", () => {
+			apiPost("hid/set_params", {keyboard_output: this._keyboardOutput.value})
+				.catch(e => console.error("HID keyboard output change failed:", e));
+		});
+		this._mouseOutput.addEventListener("change", () => {
+			apiPost("hid/set_params", {mouse_output: this._mouseOutput.value})
+				.catch(e => console.error("HID mouse output change failed:", e));
+		});
+	}
+
+	// cb(keyboardOnline, mouseOnline)
+	set onOnlineChange(cb) { this._onOnlineChange = cb; }
+
+	get keyboardOnline() { return this._state.online && this._state.keyboard.online; }
+	get mouseOnline() { return this._state.online && this._state.mouse.online; }
+
+	setState(ev) {
+		if (!ev) return;
+
+		let st = this._state;
+		if (ev.online !== undefined) st.online = ev.online;
+		if (ev.busy !== undefined) st.busy = ev.busy;
+		for (let dev of ["keyboard", "mouse"]) {
+			if (ev[dev]) {
+				if (ev[dev].online !== undefined) st[dev].online = ev[dev].online;
+				if (ev[dev].outputs !== undefined) st[dev].outputs = ev[dev].outputs;
+			}
+		}
+
+		this._render();
+		if (this._onOnlineChange) this._onOnlineChange(this.keyboardOnline, this.mouseOnline);
+	}
+
+	_render() {
+		let st = this._state;
+		if (!st.online) {
+			this._onlineLed.className = "led led-red";
+			this._onlineText.textContent = "Offline";
+		} else if (st.busy) {
+			this._onlineLed.className = "led led-yellow";
+			this._onlineText.textContent = "Busy";
+		} else {
+			this._onlineLed.className = "led led-green";
+			this._onlineText.textContent = "Online";
+		}
+
+		this._keyboardText.textContent = this.keyboardOnline ? "Online" : "Offline";
+		this._mouseText.textContent = this.mouseOnline ? "Online" : "Offline";
+
+		_updateOutputs(this._keyboardOutputRow, this._keyboardOutput, st.keyboard.outputs);
+		_updateOutputs(this._mouseOutputRow, this._mouseOutput, st.mouse.outputs);
+	}
+}
+
+// Outputs can only be switched when the HID backend offers more than one
+function _updateOutputs(row, select, outputs) {
+	let available = (outputs && outputs.available) || [];
+	if (available.length < 2) {
+		row.style.display = "none";
+		return;
+	}
+	row.style.display = "";
+
+	let current = Array.from(select.options).map(o => o.value).join(",");
+	if (current !== available.join(",")) {
+		select.innerHTML = "";
+		for (let name of available) {
+			let opt = document.createElement("option");
+			opt.value = name;
+			opt.textContent = OUTPUT_LABELS[name] || name;
+			select.appendChild(opt);
+		}
+	}
+	if (outputs.active) select.value = outputs.active;
+}
@@ -0,0 +1,177 @@
+"use strict";
+
+// Host profiles: named bundles of input settings for one target OS.
+//
+// A PiKVM behind a KVM switch can be looking at a macOS box one minute and a
+// Windows server the next. A profile bundles the settings that depend on the
+// target (scroll boost, sensitivities, combo set, keyboard layout, mouse mode)
+// so they can be switched in one tap, or automatically from a GPIO channel
+// wired to the switch.
+//
+// Profiles are applied through the Settings controls themselves, so each
+// setting is persisted and applied by the same code as a manual change.
+
+import {getSetting, setSetting, cloneValue} from "./settings.js";
+
+// Bundled settings and the Settings control that owns each
+export const PROFILE_SETTINGS = {
+	mouseMode: "setting-mouse-mode",
+	mouseSensitivity: "setting-mouse-sensitivity",
+	scrollSensitivity: "setting-scroll-sensitivity",
+	scrollPreset: "setting-scroll-preset",
+	macScroll: "setting-macos-scroll-toggle",
+	comboProfile: "setting-combo-profile",
+	keyboardLayout: "setting-keyboard-layout",
+};
+
+const DEFAULT_PROFILES = {
+	macos: {
+		name: "macOS",
+		settings: {
+			mouseMode: "absolute", mouseSensitivity: "1", scrollSensitivity: "2", scrollPreset: "normal",
+			macScroll: true, comboProfile: "macos", keyboardLayout: "mac",
+		},
+	},
+	windows: {
+		name: "Windows",
+		settings: {
+			mouseMode: "absolute", mouseSensitivity: "1", scrollSensitivity: "2", scrollPreset: "normal",
+			macScroll: false, comboProfile: "windows", keyboardLayout: "ansi",
+		},
+	},
+	linux: {
+		name: "Linux",
+		settings: {
+			mouseMode: "absolute", mouseSensitivity: "1", scrollSensitivity: "2", scrollPreset: "normal",
+			macScroll: false, comboProfile: "linux", keyboardLayout: "ansi",
+		},
+	},
+	bios: {
+		name: "BIOS",
+		settings: {
+			mouseMode: "absolute", mouseSensitivity: "1", scrollSensitivity: "2", scrollPreset: "fine",
+			macScroll: false, comboProfile: "windows", keyboardLayout: "ansi",
+		},
+	},
+};
+
+// Current values of the bundled settings, read from their controls
+export function readProfileSettings() {
+	let settings = {};
+	for (let [key, id] of Object.entries(PROFILE_SETTINGS)) {
+		let el = document.getElementById(id);
+		settings[key] = el.classList.contains("toggle-switch") ? el.classList.contains("on") : el.value;
+	}
+	return settings;
+}
+
+// Set each control and fire the event its listener waits for. Values a
+// control doesn't offer (e.g. a deleted combo profile) are skipped.
+export function applyProfileSettings(settings) {
+	for (let [key, id] of Object.entries(PROFILE_SETTINGS)) {
+		if (!(key in settings)) continue;
+		let el = document.getElementById(id);
+		let value = settings[key];
+		if (el.classList.contains("toggle-switch")) {
+			if (el.classList.contains("on") !== !!value) el.click();
+		} else if (el.tagName === "SELECT") {
+			if (el.value === value || !Array.from(el.options).some(o => o.value === value)) continue;
+			el.value = value;
+			el.dispatchEvent(new Event("change"));
+		} else if (el.value !== String(value)) {
+			el.value = value;
+			el.dispatchEvent(new Event("input"));
+		}
+	}
+}
+
+export class HostProfileStore {
+	constructor() {
+		this._profiles = cloneValue(DEFAULT_PROFILES);
+		this._active = "";
+		// Auto-select: {channel, on, off} with profile ids ("" = leave as is)
+		this._gpio = {channel: "", on: "", off: ""};
+		this._onChange = null;
+		let saved = getSetting("hostProfiles");
+		if (saved && saved.profiles && Object.keys(saved.profiles).length) {
+			this._profiles = saved.profiles;
+			this._active = saved.active || "";
+			this._gpio = Object.assign(this._gpio, saved.gpio);
+		}
+		if (!this._profiles[this._active]) this._active = "";
+	}
+
+	set onChange(cb) { this._onChange = cb; }
+
+	// "" until a profile has been picked
+	get activeId() { return this._active; }
+	set activeId(id) {
+		if (!this._profiles[id]) return;
+		this._active = id;
+		this._persist();
+	}
+
+	// [{id, name}]
+	profiles() {
+		return Object.entries(this._profiles).map(([id, p]) => ({id: id, name: p.name}));
+	}
+
+	settings(id) {
+		return this._profiles[id] ? Object.assign({}, this._profiles[id].settings) : null;
+	}
+
+	// New profiles start from the given settings (normally the current ones)
+	addProfile(name, settings) {
+		let id = "p" + Date.now().toString(36);
+		this._profiles[id] = {name: name, settings: settings};
+		this._active = id;
+		this._persist();
+		return id;
+	}
+
+	saveSettings(id, settings) {
+		if (!this._profiles[id]) return;
+		this._profiles[id].settings = settings;
+		this._persist();
+	}
+
+	removeProfile(id) {
+		if (Object.keys(this._profiles).length <= 1) return;
+		delete this._profiles[id];
+		if (this._active === id) this._active = "";
+		for (let key of ["on", "off"]) {
+			if (this._gpio[key] === id) this._gpio[key] = "";
+		}
+		this._persist();
+	}
+
+	resetDefaults() {
+		this._profiles = cloneValue(DEFAULT_PROFILES);
+		this._active = "";
+		this._gpio = {channel: "", on: "", off: ""};
+		this._persist();
+	}
+
+	get gpio() { return Object.assign({}, this._gpio); }
+	set gpio(v) {
+		this._gpio = Object.assign({channel: "", on: "", off: ""}, v);
+		this._persist();
+	}
+
+	// Profile id for a GPIO state update ({channel: state}), or "" for none
+	profileForGpio(state) {
+		let channel = this._gpio.channel;
+		if (!channel || !state || !(channel in state)) return "";
+		let id = state[channel] ? this._gpio.on : this._gpio.off;
+		return this._profiles[id] ? id : "";
+	}
+
+	_persist() {
+		setSetting("hostProfiles", {
+			profiles: this._profiles,
+			active: this._active,
+			gpio: this._gpio,
+		});
+		if (this._onChange) this._onChange();
+	}
+}
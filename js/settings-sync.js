@@ -0,0 +1,210 @@
+"use strict";
+
+// Optional server sync of tablet settings, per PiKVM user.
+//
+// The sync service (server/settings-sync.py, proxied by nginx at /tablet/sync/)
+// keeps one settings document per user and picks the user from the kvmd
+// session the request comes with. Every shared setting carries the time
+// it was last changed here; a sync uploads all of them and the server merges
+// key by key, last write wins, and returns the result. A key changed both here
+// and on another tablet since the last sync comes back as a conflict, so the
+// Settings tab can say which change was kept.
+//
+// The app syncs once before it starts, so merged values are in place before
+// any module reads them, and again shortly after each local change. Values
+// that arrive later are saved but need a reload to take effect.
+
+import {
+	getSetting, setSetting, isSharedSetting, exportSettings, readSettingsData, renameSettingKeys,
+	diffSettings, applySettings, setSettingChangeHandler,
+} from "./settings.js";
+
+const SYNC_URL = "sync/settings"; // relative to the tablet UI
+const SYNC_TIMEOUT = 5000;        // ms; startup doesn't wait longer than this
+const PUSH_DELAY = 2000;          // ms after the last local change
+
+export class SettingsSync {
+	constructor() {
+		this._state = _loadState();
+		this._timer = null;
+		this._running = null;
+		this._again = false;
+		this._applying = false;
+		this._started = false;
+		this._status = {text: "", error: false};
+		this._conflicts = [];
+		this._reloadNeeded = false;
+		this._onChange = null;
+
+		setSettingChangeHandler((key) => this._handleChange(key));
+		this._setStatus(this.enabled ? "Not synced yet" : "Off");
+	}
+
+	set onChange(cb) { this._onChange = cb; }
+
+	get enabled() { return getSetting("syncEnabled"); }
+	set enabled(v) {
+		setSetting("syncEnabled", !!v);
+		if (v) {
+			this.sync();
+		} else {
+			clearTimeout(this._timer);
+			this._setStatus("Off");
+		}
+	}
+
+	get status() { return Object.assign({}, this._status); }
+
+	// Keys changed here and on another tablet in the last sync
+	get conflicts() { return this._conflicts.slice(); }
+
+	// Another tablet's values were saved after startup
+	get reloadNeeded() { return this._reloadNeeded; }
+
+	dismissNotice() {
+		this._conflicts = [];
+		this._reloadNeeded = false;
+		if (this._onChange) this._onChange();
+	}
+
+	// Before the app reads its settings. Never throws and gives up after
+	// SYNC_TIMEOUT, so an unreachable service doesn't block startup.
+	async syncAtStartup() {
+		if (this.enabled) await this.sync();
+		this._started = true;
+	}
+
+	async sync() {
+		if (!this.enabled) return;
+		if (this._running) {
+			this._again = true;
+			return this._running;
+		}
+		clearTimeout(this._timer);
+		this._running = this._sync();
+		try {
+			await this._running;
+		} finally {
+			this._running = null;
+		}
+		if (this._again) {
+			this._again = false;
+			await this.sync();
+		}
+	}
+
+	async _sync() {
+		this._setStatus("Syncing…");
+
+		// since and the stamps count only for the account they were kept for;
+		// the server ignores them when the session belongs to someone else
+		let body = exportSettings();
+		body.sinceUser = this._state.user;
+		body.since = this._state.since;
+		body.stamps = Object.assign({}, this._state.stamps);
+
+		let data;
+		try {
+			let resp = await fetch(SYNC_URL, {
+				method: "POST",
+				headers: {"Content-Type": "application/json"},
+				body: JSON.stringify(body),
+				signal: AbortSignal.timeout(SYNC_TIMEOUT),
+			});
+			if (resp.status === 401 || resp.status === 403) throw new Error("Sign in again to sync");
+			if (resp.status === 404 || resp.status === 502) throw new Error("The sync service is not set up on this PiKVM");
+			// A kvmd that doesn't say whose session it is
+			if (resp.status === 501) throw new Error(await _serverError(resp));
+			if (!resp.ok) throw new Error("Sync failed (status " + resp.status + ")");
+			data = await resp.json();
+		} catch (e) {
+			this._setStatus(e.name === "TimeoutError" ? "The sync service didn't answer" : e.message, true);
+			return;
+		}
+
+		let remote;
+		try {
+			remote = readSettingsData(data);
+		} catch (e) {
+			this._setStatus(e.message, true);
+			return;
+		}
+		let user = typeof data.user === "string" ? data.user : null;
+		let stamps = renameSettingKeys(data.stamps || {}, parseInt(data.version) || 1);
+
+		// The merged document has the values that won; only the others change
+		// here. Keys edited while the request was out keep the new edit (the
+		// next sync sends it).
+		let editedKeys = new Set(Object.keys(this._state.stamps)
+			.filter(key => this._state.stamps[key] !== body.stamps[key]));
+		let edited = (key) => editedKeys.has(key);
+		let changes = diffSettings(remote.settings).filter(c => !edited(c.key));
+		this._applying = true;
+		try {
+			applySettings(Object.fromEntries(changes.map(c => [c.key, c.to])));
+		} finally {
+			this._applying = false;
+		}
+
+		if (this._state.user !== user) {
+			// Another account: this tablet's change times were for someone else
+			// (the server already ignored them). Changes made before sync was
+			// first turned on do count, and so do edits made during the request.
+			if (this._state.user) {
+				this._state.stamps = Object.fromEntries(
+					Object.entries(this._state.stamps).filter(([key]) => edited(key)));
+			}
+			this._state.user = user;
+		}
+		for (let [key, stamp] of Object.entries(stamps)) {
+			if (isSharedSetting(key) && !edited(key)) this._state.stamps[key] = stamp;
+		}
+		this._state.since = data.updated || 0;
+		_saveState(this._state);
+
+		// Conflicts are among the keys sent, so they already have current names
+		this._conflicts = (data.conflicts || []).filter(isSharedSetting);
+		if (this._started && changes.length) this._reloadNeeded = true;
+		let time = new Date().toLocaleTimeString([], {hour: "2-digit", minute: "2-digit"});
+		this._setStatus((user ? "Synced as " + user : "Synced") + " at " + time);
+	}
+
+	_handleChange(key) {
+		if (this._applying || !isSharedSetting(key)) return;
+		this._state.stamps[key] = Date.now();
+		_saveState(this._state);
+		if (!this.enabled) return;
+		clearTimeout(this._timer);
+		this._timer = setTimeout(() => this.sync(), PUSH_DELAY);
+	}
+
+	_setStatus(text, error) {
+		this._status = {text: text, error: !!error};
+		if (this._onChange) this._onChange();
+	}
+}
+
+async function _serverError(resp) {
+	try {
+		let data = await resp.json();
+		if (data && data.error) return data.error;
+	} catch (e) {
+		// not the sync service's JSON
+	}
+	return "Sync failed (status " + resp.status + ")";
+}
+
+// {user, since, stamps: {key: ms}}; stamps are kept while sync is off too,
+// so turning it on later knows which values were changed here and when
+function _loadState() {
+	let state = getSetting("syncState") || {};
+	return {
+		user: state.user || null,
+		since: state.since || 0,
+		stamps: state.stamps && typeof state.stamps === "object" ? state.stamps : {},
+	};
+}
+
+function _saveState(state) {
+	setSetting("syncState", state);
+}
@@ -0,0 +1,304 @@
+"use strict";
+
+// Tablet settings: every key this UI keeps in localStorage, with its default
+// and what values it accepts.
+//
+// Modules read and write settings only through getSetting() / setSetting(),
+// so the schema below is the complete list. That makes it possible to export
+// them to a JSON file, import that file on another tablet (checked against the
+// schema, with a per-key preview of what changes) and reset to defaults.
+//
+// Values are stored the way the app always stored them (strings, "true" /
+// "false", JSON for the editor stores), so no conversion is needed on upgrade.
+// When a key is renamed, bump SCHEMA_VERSION and add the rename to MIGRATIONS:
+// saved settings and older export files are both moved to the new names.
+
+import {KEYBOARD_LAYOUTS} from "./ui/keyboard-layouts.js";
+import {DEFAULT_REPEAT_DELAY, DEFAULT_REPEAT_RATE} from "./ui/keyboard-ui.js";
+import {TEXT_LAYOUTS} from "./input/keyboard.js";
+import {ACCEL_PROFILES, DEFAULT_CUSTOM_CURVE, parseCurve} from "./input/acceleration.js";
+import {ESCAPE_KEYS} from "./input/shortcuts.js";
+import {WIDGET_LAYOUTS} from "./ui/scroll-widget.js";
+
+const PREFIX = "pikvm.tablet.";
+const VERSION_KEY = PREFIX + "settingsVersion";
+const EXPORT_FORMAT = "pikvm-tablet-settings";
+
+export const SCHEMA_VERSION = 1;
+
+// Key renames per schema version: MIGRATIONS[n] = {oldKey: "newKey"} moves
+// version n - 1 settings to version n, e.g. 2: {macScroll: "scrollWidgetMac"}
+const MIGRATIONS = {};
+
+// type: "choice" (one of values), "string", "number" (min..max), "bool" or
+// "json" (shape "object" / "array"; null = the store's built-in defaults).
+// local: belongs to this device, so it is neither exported nor reset.
+// Choices built from other modules are looked up lazily (those modules import
+// this one).
+export const SETTINGS_SCHEMA = {
+	// Stream and audio
+	streamMode: {type: "choice", default: "auto", values: ["auto", "janus", "mjpeg"]},
+	audioVolume: {type: "number", default: 100, min: 0, max: 100},
+	micEnabled: {type: "bool", default: true},
+
+	// Mouse and touch
+	mouseMode: {type: "choice", default: "absolute", values: ["absolute", "relative", "trackpad"]},
+	penInput: {type: "bool", default: true},
+	mouseSensitivity: {type: "number", default: 1, min: 0.5, max: 3},
+	accelProfile: {type: "choice", default: "linear", values: () => Object.keys(ACCEL_PROFILES)},
+	accelCurve: {type: "string", default: DEFAULT_CUSTOM_CURVE, check: parseCurve},
+	scrollSensitivity: {type: "number", default: 2, min: 0.5, max: 10},
+	scrollDirection: {type: "choice", default: "natural", values: ["natural", "traditional"]},
+	scrollMomentum: {type: "bool", default: true},
+	mousePanelCollapsed: {type: "bool", default: false},
+	gestureProfiles: {type: "json", default: null, shape: "object"},
+
+	// Scroll widget
+	scrollPreset: {type: "string", default: "normal"},
+	scrollPresets: {type: "json", default: null, shape: "object"},
+	scrollWidgetLayout: {type: "choice", default: "vertical", values: () => Object.keys(WIDGET_LAYOUTS)},
+	scrollTickFeedback: {type: "choice", default: "both", values: ["both", "visual", "off"]},
+	scrollWidgetHidden: {type: "bool", default: false},
+	macScroll: {type: "bool", default: false},
+
+	// Keyboard and text
+	textMode: {type: "choice", default: "print", values: ["print", "keys"]},
+	textLayout: {type: "choice", default: "us", values: () => Object.keys(TEXT_LAYOUTS)},
+	keyboardLayout: {type: "choice", default: "ansi", values: () => Object.keys(KEYBOARD_LAYOUTS)},
+	showNumpad: {type: "bool", default: true},
+	keyboardFull: {type: "bool", default: false},
+	repeatDelay: {type: "number", default: DEFAULT_REPEAT_DELAY, min: 0, max: 1500},
+	repeatRate: {type: "number", default: DEFAULT_REPEAT_RATE, min: 2, max: 30},
+	pasteKeymap: {type: "string", default: ""},
+	pasteConfirmThreshold: {type: "choice", default: "200", values: ["0", "50", "200", "1000", "100000000"]},
+	capsAutoCorrect: {type: "bool", default: true},
+	comboProfiles: {type: "json", default: null, shape: "object"},
+	macros: {type: "json", default: null, shape: "array"},
+
+	// Physical keyboard
+	kbDetectMode: {type: "choice", default: "prompt", values: ["prompt", "auto", "off"]},
+	escapeKey: {type: "choice", default: "ControlRight", values: () => Object.keys(ESCAPE_KEYS)},
+	shortcutRemaps: {type: "json", default: null, shape: "array"},
+	kbSeen: {type: "bool", default: false, local: true},
+
+	// Everything else
+	theme: {type: "choice", default: "dark", values: ["dark", "light", "auto"]},
+	hostProfiles: {type: "json", default: null, shape: "object"},
+	loginUser: {type: "string", default: null, local: true},
+
+	// Server sync (see settings-sync.js)
+	syncEnabled: {type: "bool", default: false, local: true},
+	syncState: {type: "json", default: null, shape: "object", local: true},
+};
+
+let _changeHandler = null;
+
+// handler(key) after a setting is saved or removed
+export function setSettingChangeHandler(handler) {
+	_changeHandler = handler;
+}
+
+// Saved value, or the default when unset or no longer valid
+export function getSetting(key) {
+	let schema = _schema(key);
+	let raw = localStorage.getItem(PREFIX + key);
+	if (raw === null) return cloneValue(schema.default);
+	let value;
+	try {
+		value = _decode(schema, raw);
+	} catch (e) {
+		console.warn("Ignoring corrupt setting " + key + ":", e);
+		return cloneValue(schema.default);
+	}
+	if (_validate(schema, value)) return cloneValue(schema.default);
+	return value;
+}
+
+// Values the schema doesn't accept are not saved
+export function setSetting(key, value) {
+	let schema = _schema(key);
+	let error = _validate(schema, value);
+	if (error) {
+		console.warn("Not saving setting " + key + ":", error);
+		return;
+	}
+	localStorage.setItem(PREFIX + key, _encode(schema, value));
+	if (_changeHandler) _changeHandler(key);
+}
+
+// Back to the default
+export function removeSetting(key) {
+	_schema(key);
+	localStorage.removeItem(PREFIX + key);
+	if (_changeHandler) _changeHandler(key);
+}
+
+// Run once at startup, before anything reads a setting
+export function migrateSettings() {
+	let version = parseInt(localStorage.getItem(VERSION_KEY)) || 1;
+	for (let v = version + 1; v <= SCHEMA_VERSION; v++) {
+		for (let [from, to] of Object.entries(MIGRATIONS[v] || {})) {
+			let raw = localStorage.getItem(PREFIX + from);
+			if (raw === null) continue;
+			// A value already saved under the new name wins
+			if (localStorage.getItem(PREFIX + to) === null) localStorage.setItem(PREFIX + to, raw);
+			localStorage.removeItem(PREFIX + from);
+		}
+	}
+	localStorage.setItem(VERSION_KEY, String(SCHEMA_VERSION));
+}
+
+// Deep copy of a JSON value, so stores don't share objects with callers
+export function cloneValue(value) {
+	return value === null || typeof value !== "object" ? value : JSON.parse(JSON.stringify(value));
+}
+
+export function isSharedSetting(key) {
+	return !!SETTINGS_SCHEMA[key] && !SETTINGS_SCHEMA[key].local;
+}
+
+// Current values of everything that isn't device-local
+export function exportSettings() {
+	let settings = {};
+	for (let key of _sharedKeys()) settings[key] = getSetting(key);
+	return {format: EXPORT_FORMAT, version: SCHEMA_VERSION, settings: settings};
+}
+
+export function defaultSettings() {
+	let settings = {};
+	for (let key of _sharedKeys()) settings[key] = cloneValue(SETTINGS_SCHEMA[key].default);
+	return settings;
+}
+
+// Parse an exported file. Throws if it isn't one; keys that are unknown or
+// fail validation are left out and listed in skipped ([{key, reason}]).
+export function parseSettingsFile(text) {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (e) {
+		throw new Error("Not a JSON file");
+	}
+	return readSettingsData(data);
+}
+
+// Same for an already parsed export (files and server sync)
+export function readSettingsData(data) {
+	if (!data || data.format !== EXPORT_FORMAT || !data.settings || typeof data.settings !== "object") {
+		throw new Error("Not a PiKVM tablet settings file");
+	}
+	let version = parseInt(data.version) || 1;
+	if (version > SCHEMA_VERSION) {
+		throw new Error("These settings are from a newer version of the tablet UI; update this one first");
+	}
+
+	let settings = {};
+	let skipped = [];
+	for (let [key, value] of Object.entries(renameSettingKeys(data.settings, version))) {
+		let schema = SETTINGS_SCHEMA[key];
+		if (!schema || schema.local) {
+			skipped.push({key: key, reason: "unknown setting"});
+			continue;
+		}
+		let error = _validate(schema, value);
+		if (error) {
+			skipped.push({key: key, reason: error});
+			continue;
+		}
+		settings[key] = value;
+	}
+	return {settings: settings, skipped: skipped};
+}
+
+// Move the keys of an object saved by schema version `version` to the
+// current names (settings, or anything else keyed by setting)
+export function renameSettingKeys(obj, version) {
+	let entries = Object.entries(obj);
+	for (let v = version + 1; v <= SCHEMA_VERSION; v++) {
+		let renames = MIGRATIONS[v] || {};
+		entries = entries.map(([key, value]) => [renames[key] || key, value]);
+	}
+	return Object.fromEntries(entries);
+}
+
+// [{key, from, to}] for each value that differs from the current one
+export function diffSettings(settings) {
+	let changes = [];
+	for (let [key, value] of Object.entries(settings)) {
+		let current = getSetting(key);
+		if (JSON.stringify(current) !== JSON.stringify(value)) {
+			changes.push({key: key, from: current, to: value});
+		}
+	}
+	return changes;
+}
+
+// Save parsed settings; values equal to the default are removed instead
+export function applySettings(settings) {
+	for (let [key, value] of Object.entries(settings)) {
+		if (JSON.stringify(value) === JSON.stringify(_schema(key).default)) {
+			removeSetting(key);
+		} else {
+			setSetting(key, value);
+		}
+	}
+}
+
+function _schema(key) {
+	let schema = SETTINGS_SCHEMA[key];
+	if (!schema) throw new Error("Unknown setting: " + key);
+	return schema;
+}
+
+function _sharedKeys() {
+	return Object.keys(SETTINGS_SCHEMA).filter(isSharedSetting);
+}
+
+// Error text, or null if the value is acceptable
+function _validate(schema, value) {
+	if (value === null) return schema.default === null ? null : "must be set";
+	switch (schema.type) {
+		case "choice": {
+			let values = typeof schema.values === "function" ? schema.values() : schema.values;
+			return values.includes(value) ? null : "unsupported value " + JSON.stringify(value);
+		}
+		case "string":
+			if (typeof value !== "string") return "must be text";
+			if (schema.check) {
+				try {
+					schema.check(value);
+				} catch (e) {
+					return e.message;
+				}
+			}
+			return null;
+		case "number":
+			if (typeof value !== "number" || !isFinite(value)) return "must be a number";
+			if (value < schema.min || value > schema.max) return "must be between " + schema.min + " and " + schema.max;
+			return null;
+		case "bool":
+			return typeof value === "boolean" ? null : "must be true or false";
+		case "json":
+			if (schema.shape === "array") return Array.isArray(value) ? null : "must be a list";
+			return typeof value === "object" && !Array.isArray(value) ? null : "must be an object";
+	}
+	return "unknown type";
+}
+
+function _decode(schema, raw) {
+	switch (schema.type) {
+		case "number": return parseFloat(raw);
+		case "bool": return raw === "true";
+		case "json": return JSON.parse(raw);
+	}
+	return raw;
+}
+
+function _encode(schema, value) {
+	switch (schema.type) {
+		case "number":
+		case "bool": return String(value);
+		case "json": return JSON.stringify(value);
+	}
+	return value;
+}
@@ -0,0 +1,95 @@
+"use strict";
+
+// Settings editor for key combo profiles (see input/combos.js)
+
+import {parseComboKeys} from "../input/combos.js";
+import {button} from "./dom.js";
+
+export class ComboEditorUI {
+	constructor(store) {
+		this._store = store;
+		this._profileSelect = document.getElementById("setting-combo-profile");
+		this._list = document.getElementById("combo-list");
+		this._labelInput = document.getElementById("combo-add-label");
+		this._keysInput = document.getElementById("combo-add-keys");
+		this._groupInput = document.getElementById("combo-add-group");
+		this._error = document.getElementById("combo-add-error");
+		this._profileNameInput = document.getElementById("combo-profile-name");
+
+		this._profileSelect.addEventListener("change", () => {
+			this._store.activeId = this._profileSelect.value;
+		});
+
+		document.getElementById("combo-add-btn").addEventListener("click", () => this._addCombo());
+
+		document.getElementById("combo-profile-add-btn").addEventListener("click", () => {
+			let name = this._profileNameInput.value.trim();
+			if (!name) return;
+			this._store.addProfile(name);
+			this._profileNameInput.value = "";
+		});
+
+		document.getElementById("combo-profile-delete-btn").addEventListener("click", () => {
+			this._store.removeProfile(this._store.activeId);
+		});
+
+		document.getElementById("combo-profile-reset-btn").addEventListener("click", () => {
+			this._store.resetDefaults();
+		});
+
+		this.render();
+	}
+
+	render() {
+		this._profileSelect.innerHTML = "";
+		for (let p of this._store.profiles()) {
+			let opt = document.createElement("option");
+			opt.value = p.id;
+			opt.textContent = p.name;
+			this._profileSelect.appendChild(opt);
+		}
+		this._profileSelect.value = this._store.activeId;
+
+		this._list.innerHTML = "";
+		let combos = this._store.activeCombos();
+		if (combos.length === 0) {
+			this._list.innerHTML = '<p class="text-muted">No combos in this profile.</p>';
+		}
+		combos.forEach((combo, i) => {
+			let row = document.createElement("div");
+			row.className = "combo-edit-row";
+
+			let label = document.createElement("span");
+			label.className = "combo-edit-label";
+			label.textContent = (combo.group ? combo.group + " · " : "") + combo.label;
+			label.title = combo.keys.join(" + ");
+
+			row.append(
+				label,
+				button("↑", "btn btn-secondary btn-sm", () => this._store.moveCombo(i, -1)),
+				button("↓", "btn btn-secondary btn-sm", () => this._store.moveCombo(i, 1)),
+				button("×", "btn btn-danger btn-sm", () => this._store.removeCombo(i)),
+			);
+			this._list.appendChild(row);
+		});
+	}
+
+	_addCombo() {
+		this._error.classList.add("hidden");
+		let keys;
+		try {
+			keys = parseComboKeys(this._keysInput.value);
+		} catch (e) {
+			this._error.textContent = e.message;
+			this._error.classList.remove("hidden");
+			return;
+		}
+		this._store.addCombo({
+			label: this._labelInput.value.trim() || this._keysInput.value.trim(),
+			keys: keys,
+			group: this._groupInput.value.trim(),
+		});
+		this._labelInput.value = "";
+		this._keysInput.value = "";
+	}
+}
@@ -0,0 +1,11 @@
+"use strict";
+
+// Small DOM helpers shared by the settings editors
+
+export function button(text, className, onClick) {
+	let btn = document.createElement("button");
+	btn.className = className;
+	btn.textContent = text;
+	btn.addEventListener("click", onClick);
+	return btn;
+}
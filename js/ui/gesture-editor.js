@@ -0,0 +1,162 @@
+"use strict";
+
+// Settings editor for touch gesture profiles (see input/gestures.js)
+
+import {parseComboKeys} from "../input/combos.js";
+import {GESTURES, GESTURE_ACTIONS, TIMINGS} from "../input/gestures.js";
+
+const MODES = ["absolute", "relative"];
+
+export class GestureEditorUI {
+	constructor(store) {
+		this._store = store;
+		this._profileSelect = document.getElementById("setting-gesture-profile");
+		this._timings = document.getElementById("gesture-timings");
+		this._bindings = document.getElementById("gesture-bindings");
+		this._error = document.getElementById("gesture-error");
+		this._profileNameInput = document.getElementById("gesture-profile-name");
+
+		this._profileSelect.addEventListener("change", () => {
+			this._store.activeId = this._profileSelect.value;
+		});
+
+		document.getElementById("gesture-profile-add-btn").addEventListener("click", () => {
+			let name = this._profileNameInput.value.trim();
+			if (!name) return;
+			this._store.addProfile(name);
+			this._profileNameInput.value = "";
+		});
+
+		document.getElementById("gesture-profile-delete-btn").addEventListener("click", () => {
+			this._store.removeProfile(this._store.activeId);
+		});
+
+		document.getElementById("gesture-profile-reset-btn").addEventListener("click", () => {
+			this._store.resetDefaults();
+		});
+
+		this.render();
+	}
+
+	render() {
+		this._profileSelect.innerHTML = "";
+		for (let p of this._store.profiles()) {
+			let opt = document.createElement("option");
+			opt.value = p.id;
+			opt.textContent = p.name;
+			this._profileSelect.appendChild(opt);
+		}
+		this._profileSelect.value = this._store.activeId;
+
+		let config = this._store.active();
+		this._renderTimings(config.timings);
+		this._renderBindings(config.bindings);
+	}
+
+	_renderTimings(timings) {
+		this._timings.innerHTML = "";
+		for (let [name, t] of Object.entries(TIMINGS)) {
+			let row = document.createElement("div");
+			row.className = "setting-row";
+
+			let label = document.createElement("span");
+			label.textContent = t.name;
+
+			let range = document.createElement("div");
+			range.className = "setting-range-row";
+			let input = document.createElement("input");
+			input.type = "range";
+			input.className = "form-range";
+			input.min = t.min;
+			input.max = t.max;
+			input.step = t.step;
+			input.value = timings[name];
+			let value = document.createElement("span");
+			value.className = "setting-value";
+			value.textContent = timings[name] + t.unit;
+
+			input.addEventListener("input", () => {
+				value.textContent = input.value + t.unit;
+			});
+			input.addEventListener("change", () => this._store.setTiming(name, input.value));
+
+			range.append(input, value);
+			row.append(label, range);
+			this._timings.appendChild(row);
+		}
+	}
+
+	_renderBindings(bindings) {
+		this._bindings.innerHTML = "";
+		let header = document.createElement("div");
+		header.className = "gesture-binding-row gesture-binding-header";
+		header.append(_span("Gesture"), _span("Absolute"), _span("Relative"));
+		this._bindings.appendChild(header);
+
+		for (let [gesture, gestureName] of Object.entries(GESTURES)) {
+			let row = document.createElement("div");
+			row.className = "gesture-binding-row";
+
+			let label = _span(gestureName);
+			label.className = "combo-edit-label";
+			row.appendChild(label);
+
+			for (let mode of MODES) {
+				row.appendChild(this._actionPicker(mode, gesture, bindings[mode][gesture]));
+			}
+			this._bindings.appendChild(row);
+		}
+	}
+
+	// A select of GESTURE_ACTIONS; "Key combo..." reveals a keys input that
+	// is only saved once it parses
+	_actionPicker(mode, gesture, action) {
+		let isCombo = action.startsWith("combo:");
+		let cell = document.createElement("div");
+		cell.className = "gesture-action";
+
+		let select = document.createElement("select");
+		select.className = "form-select";
+		for (let [id, name] of Object.entries(GESTURE_ACTIONS)) {
+			let opt = document.createElement("option");
+			opt.value = id;
+			opt.textContent = name;
+			select.appendChild(opt);
+		}
+		select.value = isCombo ? "combo" : action;
+
+		let keys = document.createElement("input");
+		keys.type = "text";
+		keys.className = "paste-input" + (isCombo ? "" : " hidden");
+		keys.placeholder = "e.g. Ctrl+C";
+		keys.value = isCombo ? action.slice(6) : "";
+
+		select.addEventListener("change", () => {
+			this._error.classList.add("hidden");
+			if (select.value === "combo") {
+				keys.classList.remove("hidden");
+				keys.focus();
+				return;
+			}
+			this._store.setBinding(mode, gesture, select.value);
+		});
+		keys.addEventListener("change", () => {
+			this._error.classList.add("hidden");
+			try {
+				this._store.setBinding(mode, gesture, "combo:" + parseComboKeys(keys.value).join("+"));
+			} catch (e) {
+				this._error.textContent = e.message;
+				this._error.classList.remove("hidden");
+			}
+		});
+
+		cell.append(select, keys);
+		return cell;
+	}
+}
+
+function _span(text) {
+	let span = document.createElement("span");
+	span.textContent = text;
+	return span;
+}
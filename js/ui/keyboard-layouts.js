@@ -0,0 +1,111 @@
+"use strict";
+
+// Visual layouts for the full on-screen keyboard.
+// Rows list kvmd key names (event.code values); an entry is either a key name
+// or [key, width] with width in standard key units. Keys the kvmd keymap does
+// not know are dropped when rendering (see isValidKey in input/keyboard.js).
+
+import {isValidKey} from "../input/keyboard.js";
+
+const DIGITS = ["Digit1", "Digit2", "Digit3", "Digit4", "Digit5", "Digit6", "Digit7", "Digit8", "Digit9", "Digit0"];
+const ROW_Q = ["KeyQ", "KeyW", "KeyE", "KeyR", "KeyT", "KeyY", "KeyU", "KeyI", "KeyO", "KeyP"];
+const ROW_A = ["KeyA", "KeyS", "KeyD", "KeyF", "KeyG", "KeyH", "KeyJ", "KeyK", "KeyL"];
+const ROW_Z = ["KeyZ", "KeyX", "KeyC", "KeyV", "KeyB", "KeyN", "KeyM"];
+
+// US legends; layouts override what differs
+const BASE_LABELS = {
+	Backquote: "`", Minus: "-", Equal: "=", BracketLeft: "[", BracketRight: "]",
+	Backslash: "\\", Semicolon: ";", Quote: "'", Comma: ",", Period: ".", Slash: "/",
+	IntlBackslash: "\\", Backspace: "⌫", Tab: "Tab", CapsLock: "Caps", Enter: "Enter",
+	ShiftLeft: "Shift", ShiftRight: "Shift", ControlLeft: "Ctrl", ControlRight: "Ctrl",
+	AltLeft: "Alt", AltRight: "AltGr", MetaLeft: "Super", MetaRight: "Super",
+	ContextMenu: "Menu", Space: "",
+	NumLock: "Num", NumpadDivide: "/", NumpadMultiply: "*", NumpadSubtract: "-",
+	NumpadAdd: "+", NumpadEnter: "Enter", NumpadDecimal: ".",
+};
+
+export const KEYBOARD_LAYOUTS = {
+	ansi: {
+		name: "ANSI (US)",
+		rows: [
+			["Backquote", ...DIGITS, "Minus", "Equal", ["Backspace", 2]],
+			[["Tab", 1.5], ...ROW_Q, "BracketLeft", "BracketRight", ["Backslash", 1.5]],
+			[["CapsLock", 1.75], ...ROW_A, "Semicolon", "Quote", ["Enter", 2.25]],
+			[["ShiftLeft", 2.25], ...ROW_Z, "Comma", "Period", "Slash", ["ShiftRight", 2.75]],
+			[["ControlLeft", 1.25], ["MetaLeft", 1.25], ["AltLeft", 1.25], ["Space", 6.25],
+				["AltRight", 1.25], ["MetaRight", 1.25], ["ContextMenu", 1.25], ["ControlRight", 1.25]],
+		],
+		labels: {},
+	},
+	iso: {
+		name: "ISO (EU)",
+		rows: [
+			["Backquote", ...DIGITS, "Minus", "Equal", ["Backspace", 2]],
+			[["Tab", 1.5], ...ROW_Q, "BracketLeft", "BracketRight", ["Enter", 1.5]],
+			[["CapsLock", 1.75], ...ROW_A, "Semicolon", "Quote", "Backslash", ["Enter", 1.25]],
+			[["ShiftLeft", 1.25], "IntlBackslash", ...ROW_Z, "Comma", "Period", "Slash", ["ShiftRight", 2.75]],
+			[["ControlLeft", 1.25], ["MetaLeft", 1.25], ["AltLeft", 1.25], ["Space", 6.25],
+				["AltRight", 1.25], ["MetaRight", 1.25], ["ContextMenu", 1.25], ["ControlRight", 1.25]],
+		],
+		labels: {Backslash: "#"},
+	},
+	jis: {
+		name: "JIS (Japanese)",
+		rows: [
+			["Backquote", ...DIGITS, "Minus", "Equal", "IntlYen", "Backspace"],
+			[["Tab", 1.5], ...ROW_Q, "BracketLeft", "BracketRight", ["Enter", 1.5]],
+			[["CapsLock", 1.75], ...ROW_A, "Semicolon", "Quote", "Backslash", ["Enter", 1.25]],
+			[["ShiftLeft", 2.25], ...ROW_Z, "Comma", "Period", "Slash", "IntlRo", ["ShiftRight", 1.75]],
+			[["ControlLeft", 1.25], ["MetaLeft", 1.25], ["AltLeft", 1.25], ["NonConvert", 1.25], ["Space", 5],
+				["Convert", 1.25], ["KanaMode", 1.25], ["AltRight", 1.25], ["ControlRight", 1.25]],
+		],
+		labels: {
+			Backquote: "半/全", Equal: "^", BracketLeft: "@", BracketRight: "[",
+			Quote: ":", Backslash: "]", IntlYen: "¥", IntlRo: "\\",
+			NonConvert: "無変換", Convert: "変換", KanaMode: "かな", AltRight: "Alt",
+		},
+	},
+	mac: {
+		name: "Mac",
+		rows: [
+			["Backquote", ...DIGITS, "Minus", "Equal", ["Backspace", 2]],
+			[["Tab", 1.5], ...ROW_Q, "BracketLeft", "BracketRight", ["Backslash", 1.5]],
+			[["CapsLock", 1.75], ...ROW_A, "Semicolon", "Quote", ["Enter", 2.25]],
+			[["ShiftLeft", 2.25], ...ROW_Z, "Comma", "Period", "Slash", ["ShiftRight", 2.75]],
+			[["ControlLeft", 1.25], ["AltLeft", 1.25], ["MetaLeft", 1.5], ["Space", 8.25],
+				["MetaRight", 1.5], ["AltRight", 1.25]],
+		],
+		labels: {
+			Backspace: "delete", Enter: "return", CapsLock: "caps", ShiftLeft: "shift", ShiftRight: "shift",
+			ControlLeft: "⌃ ctrl", AltLeft: "⌥ opt", AltRight: "⌥ opt", MetaLeft: "⌘ cmd", MetaRight: "⌘ cmd",
+		},
+	},
+};
+
+// Numpad cells are laid out on a 4-column grid; [key, colSpan, rowSpan]
+export const NUMPAD_KEYS = [
+	"NumLock", "NumpadDivide", "NumpadMultiply", "NumpadSubtract",
+	"Numpad7", "Numpad8", "Numpad9", ["NumpadAdd", 1, 2],
+	"Numpad4", "Numpad5", "Numpad6",
+	"Numpad1", "Numpad2", "Numpad3", ["NumpadEnter", 1, 2],
+	["Numpad0", 2, 1], "NumpadDecimal",
+];
+
+// Returns [{key, width, label}] rows for a layout, skipping unknown keys
+export function layoutRows(layoutId) {
+	let layout = KEYBOARD_LAYOUTS[layoutId] || KEYBOARD_LAYOUTS.ansi;
+	return layout.rows.map(row => row
+		.map(entry => {
+			let [key, width] = Array.isArray(entry) ? entry : [entry, 1];
+			return {key, width, label: keyLabel(key, layoutId)};
+		})
+		.filter(k => isValidKey(k.key)));
+}
+
+export function keyLabel(key, layoutId) {
+	let layout = KEYBOARD_LAYOUTS[layoutId] || KEYBOARD_LAYOUTS.ansi;
+	if (key in layout.labels) return layout.labels[key];
+	if (key in BASE_LABELS) return BASE_LABELS[key];
+	let m = /^(?:Key|Digit|Numpad)(\w)$/.exec(key);
+	return m ? m[1] : key;
+}
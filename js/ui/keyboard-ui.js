@@ -2,6 +2,22 @@
 
 // On-screen keyboard UI rendering and interaction
 
+import {KEYBOARD_LAYOUTS, NUMPAD_KEYS, layoutRows, keyLabel} from "./keyboard-layouts.js";
+
+const MODIFIER_KEYS = new Set([
+	"ControlLeft", "ControlRight", "ShiftLeft", "ShiftRight",
+	"AltLeft", "AltRight", "MetaLeft", "MetaRight",
+]);
+
+// Lock keys toggle state on the remote, so holding them must not repeat
+const NO_REPEAT_KEYS = new Set(["CapsLock", "NumLock", "ScrollLock"]);
+
+const MODIFIER_DOUBLE_TAP_MS = 350; // second tap within this locks a modifier
+
+// Auto-repeat defaults; both are user-configurable (a slow rate suits BIOS menus)
+export const DEFAULT_REPEAT_DELAY = 500; // ms held before repeat starts, 0 = off
+export const DEFAULT_REPEAT_RATE = 20;   // repeats per second
+
 export class KeyboardUI {
 	constructor(keyboardHandler) {
 		this._handler = keyboardHandler;
@@ -11,8 +27,26 @@ export class KeyboardUI {
 		this._textInputBtn = document.getElementById("text-input-btn");
 		this._textInputArea = document.getElementById("text-input-area");
 		this._textInputWrap = document.getElementById("text-input-wrap");
+		this._fullBtn = document.getElementById("keyboard-full-btn");
+		this._fullKeyboard = document.getElementById("keyboard-full");
+		this._mainBlock = document.getElementById("keyboard-full-main");
+		this._numpadBlock = document.getElementById("keyboard-numpad");
 		this._visible = false;
 		this._onVisibilityChange = null;
+		this._onFullKeyboardChange = null;
+		this._layout = "ansi";
+		this._leds = {}; // last lock LED state, kept for keys created later
+
+		// Sticky modifiers: a tap latches the modifier for the next key,
+		// a double tap locks it until tapped again
+		this._lockedModifiers = new Set();
+		this._lastModifierTap = new Map();
+
+		// Auto-repeat for a held key
+		this._repeatDelay = DEFAULT_REPEAT_DELAY;
+		this._repeatRate = DEFAULT_REPEAT_RATE;
+		this._repeatDelayTimer = null;
+		this._repeatInterval = null;
 
 		// Track previous textarea value for send-as-you-type
 		this._prevTextValue = "";
@@ -35,50 +69,17 @@ export class KeyboardUI {
 		this._closeBtn.addEventListener("click", () => this.hide());
 
 		// Regular keys
-		this._panel.querySelectorAll(".key[data-key]").forEach(btn => {
-			let key = btn.dataset.key;
-			let isToggle = btn.dataset.toggle === "true";
-
-			btn.addEventListener("touchstart", (ev) => {
-				ev.preventDefault();
-				ev.stopPropagation();
-				if (isToggle) {
-					let active = this._handler.toggleModifier(key);
-					btn.classList.toggle("active", active);
-				} else {
-					this._handler.sendKey(key, true);
-					btn.classList.add("active");
-				}
-			}, {passive: false});
+		this._panel.querySelectorAll(".key[data-key]").forEach(btn => this._bindKey(btn));
 
-			btn.addEventListener("touchend", (ev) => {
-				ev.preventDefault();
-				ev.stopPropagation();
-				if (!isToggle) {
-					this._handler.sendKey(key, false);
-					btn.classList.remove("active");
-					// Release any held modifiers after a non-modifier key
-					this._releaseHeldModifiers();
-				}
-			}, {passive: false});
+		// Full keyboard (letters, digits, punctuation, numpad)
+		this._fullBtn.addEventListener("click", () => {
+			this.setFullKeyboard(this._fullKeyboard.classList.contains("hidden"));
+			if (this._onFullKeyboardChange) this._onFullKeyboardChange(this.fullKeyboard);
 		});
+		this._renderFullKeyboard();
 
-		// Combo keys
-		this._panel.querySelectorAll(".key[data-combo]").forEach(btn => {
-			btn.addEventListener("touchstart", (ev) => {
-				ev.preventDefault();
-				ev.stopPropagation();
-				btn.classList.add("active");
-			}, {passive: false});
-
-			btn.addEventListener("touchend", (ev) => {
-				ev.preventDefault();
-				ev.stopPropagation();
-				btn.classList.remove("active");
-				let keys = btn.dataset.combo.split(",");
-				this._handler.sendCombo(keys);
-			}, {passive: false});
-		});
+		// Combo keys are rendered from the active combo profile via renderCombos()
+		this._comboRow = document.getElementById("keyboard-row-combos");
 
 		// Text input button (on-screen keyboard)
 		this._textInputBtn.addEventListener("touchend", (ev) => {
@@ -119,7 +120,7 @@ export class KeyboardUI {
 			let current = this._quickInput.value;
 			let prev = this._quickPrevValue;
 			if (current.length > prev.length) {
-				this._handler.sendText(current.slice(prev.length));
+				this._handler.sendText(current.slice(prev.length)).catch(e => console.warn("Text not sent:", e));
 			} else if (current.length < prev.length) {
 				let n = prev.length - current.length;
 				for (let i = 0; i < n; i++) {
@@ -157,9 +158,80 @@ export class KeyboardUI {
 	}
 
 	set onVisibilityChange(cb) { this._onVisibilityChange = cb; }
+	set onFullKeyboardChange(cb) { this._onFullKeyboardChange = cb; }
 
 	get visible() { return this._visible; }
 
+	get layout() { return this._layout; }
+	set layout(id) {
+		this._layout = KEYBOARD_LAYOUTS[id] ? id : "ansi";
+		this._renderFullKeyboard();
+	}
+
+	get fullKeyboard() { return !this._fullKeyboard.classList.contains("hidden"); }
+
+	setFullKeyboard(visible) {
+		this._fullKeyboard.classList.toggle("hidden", !visible);
+		this._fullBtn.classList.toggle("active", visible);
+	}
+
+	set showNumpad(v) { this._numpadBlock.classList.toggle("hidden", !v); }
+
+	get repeatDelay() { return this._repeatDelay; }
+	set repeatDelay(ms) { this._repeatDelay = Math.max(0, parseInt(ms) || 0); }
+	get repeatRate() { return this._repeatRate; }
+	set repeatRate(v) { this._repeatRate = Math.min(Math.max(parseFloat(v) || DEFAULT_REPEAT_RATE, 1), 50); }
+
+	// Stop repeat and clear all pressed/latched/locked key visuals. The caller
+	// releases the keys themselves through KeyboardHandler.releaseAll().
+	releaseAll() {
+		this._stopRepeat();
+		this._lockedModifiers.clear();
+		this._panel.querySelectorAll(".key.active, .key.locked").forEach(btn => {
+			btn.classList.remove("active", "locked");
+		});
+	}
+
+	// combos: [{label, keys, group}] — a group label precedes each new group
+	renderCombos(combos) {
+		this._comboRow.innerHTML = "";
+		let group = "";
+		for (let combo of combos) {
+			if (combo.group && combo.group !== group) {
+				let label = document.createElement("span");
+				label.className = "keyboard-group-label";
+				label.textContent = combo.group;
+				this._comboRow.appendChild(label);
+			}
+			group = combo.group;
+
+			let btn = document.createElement("button");
+			btn.className = "key key-combo";
+			btn.textContent = combo.label;
+			btn.title = combo.keys.join(" + ");
+			btn.addEventListener("touchstart", (ev) => {
+				ev.preventDefault();
+				ev.stopPropagation();
+				btn.classList.add("active");
+			}, {passive: false});
+			btn.addEventListener("touchend", (ev) => {
+				ev.preventDefault();
+				ev.stopPropagation();
+				btn.classList.remove("active");
+				this._handler.sendCombo(combo.keys);
+			}, {passive: false});
+			this._comboRow.appendChild(btn);
+		}
+	}
+
+	// Reflect remote lock LEDs on the CapsLock/NumLock keys
+	setLeds(leds) {
+		this._leds = Object.assign({}, leds);
+		this._panel.querySelectorAll(".key[data-led]").forEach(btn => {
+			btn.classList.toggle("led-on", !!leds[btn.dataset.led]);
+		});
+	}
+
 	// Expose sendText for clipboard paste (used by mouse panel)
 	sendText(text) { return this._handler.sendText(text); }
 	sendTextSlow(text, charDelayMs) { return this._handler.sendTextSlow(text, charDelayMs); }
@@ -228,7 +300,7 @@ export class KeyboardUI {
 		if (current.length > prev.length) {
 			// Characters were added — send the new ones
 			let added = current.slice(prev.length);
-			this._handler.sendText(added);
+			this._handler.sendText(added).catch(e => console.warn("Text not sent:", e));
 		} else if (current.length < prev.length) {
 			// Characters were deleted — send Backspace for each deleted character
 			let deletedCount = prev.length - current.length;
@@ -242,13 +314,150 @@ export class KeyboardUI {
 		this._prevTextValue = current;
 	}
 
-	_releaseHeldModifiers() {
-		this._panel.querySelectorAll(".key[data-toggle='true'].active").forEach(btn => {
-			let key = btn.dataset.key;
-			if (this._handler.isModifierActive(key)) {
-				this._handler.toggleModifier(key);
+	_renderFullKeyboard() {
+		this._mainBlock.innerHTML = "";
+		for (let row of layoutRows(this._layout)) {
+			let rowEl = document.createElement("div");
+			rowEl.className = "keyboard-row keyboard-row-full";
+			for (let {key, width, label} of row) {
+				let btn = this._createKey(key, label);
+				btn.style.flexGrow = width;
+				rowEl.appendChild(btn);
+			}
+			this._mainBlock.appendChild(rowEl);
+		}
+
+		this._numpadBlock.innerHTML = "";
+		for (let entry of NUMPAD_KEYS) {
+			let [key, colSpan, rowSpan] = Array.isArray(entry) ? entry : [entry, 1, 1];
+			let btn = this._createKey(key, keyLabel(key, this._layout));
+			btn.style.gridColumn = "span " + colSpan;
+			btn.style.gridRow = "span " + rowSpan;
+			this._numpadBlock.appendChild(btn);
+		}
+	}
+
+	_createKey(key, label) {
+		let btn = document.createElement("button");
+		btn.className = "key key-full";
+		btn.dataset.key = key;
+		btn.textContent = label;
+		if (MODIFIER_KEYS.has(key)) {
+			btn.dataset.toggle = "true";
+			btn.classList.add("key-mod");
+			btn.classList.toggle("active", this._handler.isModifierActive(key));
+			btn.classList.toggle("locked", this._lockedModifiers.has(key));
+		}
+		if (key === "CapsLock" || key === "NumLock") {
+			btn.classList.add("key-lock");
+			btn.dataset.led = key === "CapsLock" ? "caps" : "num";
+			btn.classList.toggle("led-on", !!this._leds[btn.dataset.led]);
+		}
+		this._bindKey(btn);
+		return btn;
+	}
+
+	_bindKey(btn) {
+		let key = btn.dataset.key;
+		let isToggle = btn.dataset.toggle === "true";
+
+		btn.addEventListener("touchstart", (ev) => {
+			ev.preventDefault();
+			ev.stopPropagation();
+			if (isToggle) {
+				this._tapModifier(key);
+			} else {
+				this._handler.sendKey(key, true);
+				btn.classList.add("active");
+				if (!NO_REPEAT_KEYS.has(key)) this._startRepeat(key);
+			}
+		}, {passive: false});
+
+		btn.addEventListener("touchend", (ev) => {
+			ev.preventDefault();
+			ev.stopPropagation();
+			if (!isToggle) {
+				this._stopRepeat();
+				this._handler.sendKey(key, false);
+				btn.classList.remove("active");
+				// Release any latched modifiers after a non-modifier key
+				this._releaseHeldModifiers();
+			}
+		}, {passive: false});
+
+		// The system took the touch over (e.g. an edge swipe): release without
+		// consuming latched modifiers, since the key was never really typed
+		btn.addEventListener("touchcancel", () => {
+			if (!isToggle) {
+				this._stopRepeat();
+				this._handler.sendKey(key, false);
 				btn.classList.remove("active");
 			}
 		});
 	}
+
+	// Released -> latched; latched + quick second tap -> locked; otherwise released
+	_tapModifier(key) {
+		let now = Date.now();
+		let lastTap = this._lastModifierTap.get(key) || 0;
+		this._lastModifierTap.set(key, now);
+
+		if (this._lockedModifiers.has(key)) {
+			this._lockedModifiers.delete(key);
+			if (this._handler.isModifierActive(key)) this._handler.toggleModifier(key);
+		} else if (this._handler.isModifierActive(key)) {
+			if (now - lastTap < MODIFIER_DOUBLE_TAP_MS) {
+				this._lockedModifiers.add(key);
+			} else {
+				this._handler.toggleModifier(key);
+			}
+		} else {
+			this._handler.toggleModifier(key);
+		}
+		this._syncModifierKeys(key);
+	}
+
+	// The same modifier can appear in the modifier row and the full keyboard
+	_syncModifierKeys(key) {
+		let active = this._handler.isModifierActive(key);
+		let locked = this._lockedModifiers.has(key);
+		this._panel.querySelectorAll(`.key[data-toggle='true'][data-key='${key}']`).forEach(btn => {
+			btn.classList.toggle("active", active);
+			btn.classList.toggle("locked", locked);
+		});
+	}
+
+	// Repeats go out as release+press pairs; kvmd ignores a second press of a held key
+	_startRepeat(key) {
+		this._stopRepeat();
+		if (!this._repeatDelay) return;
+		this._repeatDelayTimer = setTimeout(() => {
+			this._repeatDelayTimer = null;
+			this._repeatInterval = setInterval(() => {
+				this._handler.sendKey(key, false);
+				this._handler.sendKey(key, true);
+			}, 1000 / this._repeatRate);
+		}, this._repeatDelay);
+	}
+
+	_stopRepeat() {
+		if (this._repeatDelayTimer) {
+			clearTimeout(this._repeatDelayTimer);
+			this._repeatDelayTimer = null;
+		}
+		if (this._repeatInterval) {
+			clearInterval(this._repeatInterval);
+			this._repeatInterval = null;
+		}
+	}
+
+	_releaseHeldModifiers() {
+		let keys = new Set();
+		this._panel.querySelectorAll(".key[data-toggle='true'].active").forEach(btn => keys.add(btn.dataset.key));
+		for (let key of keys) {
+			if (this._lockedModifiers.has(key)) continue;
+			if (this._handler.isModifierActive(key)) this._handler.toggleModifier(key);
+			this._syncModifierKeys(key);
+		}
+	}
 }
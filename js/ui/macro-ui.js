@@ -0,0 +1,233 @@
+"use strict";
+
+// Macro UI — list in the Macros tab, step editor dialog, record button in the
+// keyboard header and the row of pinned macro buttons on the keyboard panel.
+
+import {MACRO_STEP_TYPES, validateMacroStep} from "../input/macros.js";
+import {button} from "./dom.js";
+
+const STEP_LABELS = {
+	key: "Key tap",
+	keydown: "Key down",
+	keyup: "Key up",
+	text: "Text",
+	delay: "Delay (ms)",
+	click: "Mouse click",
+};
+
+const STEP_PLACEHOLDERS = {
+	key: "e.g. ArrowRight",
+	keydown: "e.g. ShiftLeft",
+	keyup: "e.g. ShiftLeft",
+	text: "Text to type",
+	delay: "e.g. 2000",
+	click: "left / right / middle",
+};
+
+export class MacroUI {
+	constructor(store, recorder, player) {
+		this._store = store;
+		this._recorder = recorder;
+		this._player = player;
+
+		this._list = document.getElementById("macro-list");
+		this._keyboardRow = document.getElementById("keyboard-row-macros");
+		this._recordBtn = document.getElementById("macro-record-btn");
+
+		this._editor = document.getElementById("macro-editor");
+		this._editorName = document.getElementById("macro-editor-name");
+		this._editorPinned = document.getElementById("macro-editor-pinned");
+		this._editorSteps = document.getElementById("macro-editor-steps");
+		this._editorError = document.getElementById("macro-editor-error");
+		this._editing = null;
+
+		document.getElementById("macro-new-btn").addEventListener("click", () => {
+			this.edit({name: "", pinned: true, steps: [{type: "key", key: "Enter", repeat: 1}]});
+		});
+		document.getElementById("macro-editor-add").addEventListener("click", () => {
+			this._editorSteps.appendChild(this._buildStepRow({type: "key", key: "", repeat: 1}));
+		});
+		document.getElementById("macro-editor-save").addEventListener("click", () => this._saveEditor());
+		document.getElementById("macro-editor-cancel").addEventListener("click", () => this._closeEditor());
+
+		this._recordBtn.addEventListener("click", () => this._toggleRecording());
+
+		this._store.onChange = () => this.render();
+		this._player.onStateChange = () => this.render();
+		this.render();
+	}
+
+	render() {
+		let macros = this._store.list();
+		let playing = this._player.playing;
+
+		// Macros tab list
+		this._list.innerHTML = "";
+		if (macros.length === 0) {
+			this._list.innerHTML = '<p class="text-muted">No macros yet. Create one or record it from the keyboard panel.</p>';
+		}
+		for (let macro of macros) {
+			let row = document.createElement("div");
+			row.className = "macro-row";
+
+			let name = document.createElement("span");
+			name.className = "macro-name";
+			name.textContent = macro.name;
+
+			let playBtn = button(playing === macro.id ? "Stop" : "Play", "btn btn-secondary btn-sm", () => {
+				this._togglePlay(macro);
+			});
+			let editBtn = button("Edit", "btn btn-secondary btn-sm", () => this.edit(macro));
+			let delBtn = button("Delete", "btn btn-danger btn-sm", () => this._store.remove(macro.id));
+
+			row.append(name, playBtn, editBtn, delBtn);
+			this._list.appendChild(row);
+		}
+
+		// Pinned macros on the keyboard panel
+		this._keyboardRow.innerHTML = "";
+		let pinned = macros.filter(m => m.pinned);
+		this._keyboardRow.classList.toggle("hidden", pinned.length === 0);
+		for (let macro of pinned) {
+			let btn = document.createElement("button");
+			btn.className = "key key-combo key-macro";
+			btn.classList.toggle("active", playing === macro.id);
+			btn.textContent = playing === macro.id ? "■ " + macro.name : macro.name;
+			btn.addEventListener("touchend", (ev) => {
+				ev.preventDefault();
+				ev.stopPropagation();
+				this._togglePlay(macro);
+			}, {passive: false});
+			btn.addEventListener("click", () => this._togglePlay(macro));
+			this._keyboardRow.appendChild(btn);
+		}
+	}
+
+	edit(macro) {
+		this._editing = macro;
+		this._editorName.value = macro.name;
+		this._editorPinned.checked = !!macro.pinned;
+		this._editorError.classList.add("hidden");
+		this._editorSteps.innerHTML = "";
+		for (let step of macro.steps) {
+			this._editorSteps.appendChild(this._buildStepRow(step));
+		}
+		this._editor.classList.remove("hidden");
+	}
+
+	_togglePlay(macro) {
+		if (this._player.playing === macro.id) {
+			this._player.abort();
+		} else if (!this._player.playing) {
+			this._player.play(macro).catch(e => console.warn("Macro stopped:", e));
+		}
+	}
+
+	_toggleRecording() {
+		if (this._recorder.recording) {
+			let steps = this._recorder.stop();
+			this._recordBtn.classList.remove("recording");
+			this._recordBtn.title = "Record macro";
+			if (steps.length) {
+				this.edit({name: "", pinned: true, steps: steps});
+			}
+		} else {
+			this._recorder.start();
+			this._recordBtn.classList.add("recording");
+			this._recordBtn.title = "Stop recording";
+		}
+	}
+
+	_buildStepRow(step) {
+		let row = document.createElement("div");
+		row.className = "macro-step";
+
+		let type = document.createElement("select");
+		type.className = "form-select";
+		for (let t of MACRO_STEP_TYPES) {
+			let opt = document.createElement("option");
+			opt.value = t;
+			opt.textContent = STEP_LABELS[t];
+			type.appendChild(opt);
+		}
+		type.value = step.type;
+
+		let value = document.createElement("input");
+		value.type = "text";
+		value.className = "paste-input macro-step-value";
+		value.value = _stepValue(step);
+
+		let repeat = document.createElement("input");
+		repeat.type = "number";
+		repeat.min = "1";
+		repeat.className = "paste-input macro-step-repeat";
+		repeat.title = "Repeat count";
+		repeat.value = step.repeat || 1;
+
+		let syncType = () => {
+			value.placeholder = STEP_PLACEHOLDERS[type.value];
+			repeat.classList.toggle("hidden", type.value !== "key");
+		};
+		type.addEventListener("change", syncType);
+		syncType();
+
+		let up = button("↑", "btn btn-secondary btn-sm", () => {
+			if (row.previousElementSibling) row.parentNode.insertBefore(row, row.previousElementSibling);
+		});
+		let down = button("↓", "btn btn-secondary btn-sm", () => {
+			if (row.nextElementSibling) row.parentNode.insertBefore(row.nextElementSibling, row);
+		});
+		let del = button("×", "btn btn-danger btn-sm", () => row.remove());
+
+		row.append(type, value, repeat, up, down, del);
+		row._readStep = () => _parseStep(type.value, value.value.trim(), parseInt(repeat.value));
+		return row;
+	}
+
+	_saveEditor() {
+		let name = this._editorName.value.trim();
+		let steps = Array.from(this._editorSteps.children).map(row => row._readStep());
+		let error = name ? null : "Give the macro a name.";
+		if (!error && steps.length === 0) error = "Add at least one step.";
+		for (let i = 0; !error && i < steps.length; i++) {
+			let stepError = validateMacroStep(steps[i]);
+			if (stepError) error = "Step " + (i + 1) + ": " + stepError;
+		}
+		if (error) {
+			this._editorError.textContent = error;
+			this._editorError.classList.remove("hidden");
+			return;
+		}
+
+		this._store.save(Object.assign({}, this._editing, {
+			name: name,
+			pinned: this._editorPinned.checked,
+			steps: steps,
+		}));
+		this._closeEditor();
+	}
+
+	_closeEditor() {
+		this._editor.classList.add("hidden");
+		this._editing = null;
+	}
+}
+
+function _stepValue(step) {
+	switch (step.type) {
+		case "text": return step.text || "";
+		case "delay": return step.ms !== undefined ? String(step.ms) : "";
+		case "click": return step.button || "";
+		default: return step.key || "";
+	}
+}
+
+function _parseStep(type, value, repeat) {
+	switch (type) {
+		case "text": return {type: type, text: value};
+		case "delay": return {type: type, ms: value === "" ? NaN : Number(value)};
+		case "click": return {type: type, button: value.toLowerCase()};
+		case "key": return {type: type, key: value, repeat: repeat};
+		default: return {type: type, key: value};
+	}
+}
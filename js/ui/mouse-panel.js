@@ -1,18 +1,30 @@
 "use strict";
 
 // Floating mouse button panel with keyboard quick-access and collapse/expand toggle
+//
+// Mouse buttons click on tap. In hold mode a tap latches the button down
+// until it is tapped again (or hold mode is turned off), so a one-finger drag
+// on the stream drags with it.
+
+import {getSetting, setSetting} from "../settings.js";
+
+const CLICK_DURATION = 50; // ms between press and release for a panel click
 
 export class MousePanelUI {
-	constructor(_mouseHandler, keyboardUI) {
+	constructor(mouseHandler, keyboardUI) {
+		this._mouse = mouseHandler;
 		this._keyboardUI = keyboardUI;
 		this._panel = document.getElementById("mouse-panel");
 		this._buttonsWrap = document.getElementById("mouse-panel-buttons");
 		this._collapseBtn = document.getElementById("mouse-panel-collapse-btn");
 		this._keyboardBtn = document.getElementById("mouse-panel-keyboard-btn");
+		this._holdBtn = document.getElementById("mouse-panel-hold-btn");
 		this._collapsed = false;
+		this._holdMode = false;
+		this._onPaste = null;
 
 		// Restore collapsed state
-		if (localStorage.getItem("pikvm.tablet.mousePanelCollapsed") === "true") {
+		if (getSetting("mousePanelCollapsed")) {
 			this._setCollapsed(true);
 		}
 
@@ -32,8 +44,8 @@ export class MousePanelUI {
 			ev.stopPropagation();
 			if (navigator.clipboard && navigator.clipboard.readText) {
 				navigator.clipboard.readText().then(text => {
-					if (text) {
-						this._keyboardUI.sendTextSlow(text);
+					if (text && this._onPaste) {
+						this._onPaste(text);
 					}
 				}).catch(err => {
 					console.warn("Clipboard read failed:", err);
@@ -43,6 +55,28 @@ export class MousePanelUI {
 		pasteBtn.addEventListener("click", pasteHandler);
 		pasteBtn.addEventListener("touchend", pasteHandler, {passive: false});
 
+		// Mouse buttons (kvmd names: back/forward are "up"/"down")
+		for (let btn of this._buttonsWrap.querySelectorAll("[data-button]")) {
+			let buttonHandler = (ev) => {
+				ev.preventDefault();
+				ev.stopPropagation();
+				this._pressButton(btn.dataset.button);
+			};
+			btn.addEventListener("click", buttonHandler);
+			btn.addEventListener("touchend", buttonHandler, {passive: false});
+		}
+
+		let holdHandler = (ev) => {
+			ev.preventDefault();
+			ev.stopPropagation();
+			this._setHoldMode(!this._holdMode);
+		};
+		this._holdBtn.addEventListener("click", holdHandler);
+		this._holdBtn.addEventListener("touchend", holdHandler, {passive: false});
+
+		// Held buttons can also be dropped by the handler (release all, disconnect)
+		this._mouse.onHeldButtonsChange = () => this._syncHeldButtons();
+
 		// Collapse/expand toggle
 		let collapseHandler = (ev) => {
 			ev.preventDefault();
@@ -56,6 +90,34 @@ export class MousePanelUI {
 		this._makeDraggable();
 	}
 
+	set onPaste(cb) { this._onPaste = cb; }
+
+	_pressButton(button) {
+		if (this._holdMode) {
+			this._mouse.setButtonHeld(button, !this._mouse.heldButtons.includes(button));
+			return;
+		}
+		this._mouse.sendButton(button, true);
+		setTimeout(() => this._mouse.sendButton(button, false), CLICK_DURATION);
+	}
+
+	_setHoldMode(on) {
+		this._holdMode = on;
+		this._holdBtn.classList.toggle("active", on);
+		if (!on) {
+			for (let button of this._mouse.heldButtons) {
+				this._mouse.setButtonHeld(button, false);
+			}
+		}
+	}
+
+	_syncHeldButtons() {
+		let held = this._mouse.heldButtons;
+		for (let btn of this._buttonsWrap.querySelectorAll("[data-button]")) {
+			btn.classList.toggle("active", held.includes(btn.dataset.button));
+		}
+	}
+
 	_setCollapsed(collapsed) {
 		this._collapsed = collapsed;
 		this._buttonsWrap.classList.toggle("hidden", collapsed);
@@ -64,7 +126,7 @@ export class MousePanelUI {
 			: '<svg viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>';
 		this._collapseBtn.title = collapsed ? "Expand panel" : "Collapse panel";
 		this._panel.classList.toggle("collapsed", collapsed);
-		localStorage.setItem("pikvm.tablet.mousePanelCollapsed", collapsed);
+		setSetting("mousePanelCollapsed", collapsed);
 	}
 
 	_makeDraggable() {
@@ -0,0 +1,224 @@
+"use strict";
+
+// Paste job overlay — confirmation, progress, pause/resume/cancel and a queue
+// for text pasted through KeyboardHandler.sendTextSlow.
+//
+// Pastes longer than the confirm threshold, or containing newlines (which
+// would press Enter on the remote, e.g. run commands in a shell), are shown
+// as a preview first and only start after the user confirms. A paste that
+// failed or skipped characters stays on screen until acknowledged.
+
+const PREVIEW_MAX_CHARS = 300;
+const DEFAULT_CHAR_DELAY = 50; // ms — matches sendTextSlow's default, used for the initial ETA
+
+export class PasteJobUI {
+	constructor(keyboardHandler) {
+		this._handler = keyboardHandler;
+		this._el = document.getElementById("paste-job");
+		this._title = document.getElementById("paste-job-title");
+		this._preview = document.getElementById("paste-job-preview");
+		this._progressBar = document.getElementById("paste-job-progress");
+		this._progressFill = this._progressBar.querySelector(".progress-fill");
+		this._progressText = this._progressBar.querySelector(".progress-text");
+		this._status = document.getElementById("paste-job-status");
+		this._startBtn = document.getElementById("paste-job-start");
+		this._pauseBtn = document.getElementById("paste-job-pause");
+		this._cancelBtn = document.getElementById("paste-job-cancel");
+
+		this._confirmThreshold = 200;
+		this._queue = [];
+		this._running = false;
+		this._confirming = null; // resolve function while waiting for confirmation
+		this._paused = false;
+		this._sent = 0;
+		this._total = 0;
+
+		// Timing for the ETA (paused time is excluded)
+		this._startTime = 0;
+		this._pausedAt = 0;
+		this._pausedTotal = 0;
+
+		this._handler.onPasteProgress = (sent, total) => {
+			if (sent !== null) this._updateProgress(sent, total);
+		};
+
+		this._startBtn.addEventListener("click", () => {
+			if (this._confirming) this._confirming(true);
+		});
+
+		this._pauseBtn.addEventListener("click", () => {
+			if (this._paused) {
+				this._pausedTotal += Date.now() - this._pausedAt;
+				this._paused = false;
+				this._handler.resumeSlowType();
+			} else {
+				this._pausedAt = Date.now();
+				this._paused = true;
+				this._handler.pauseSlowType();
+			}
+			this._pauseBtn.textContent = this._paused ? "Resume" : "Pause";
+			this._renderStatus();
+		});
+
+		// Cancel drops the current job and everything queued behind it
+		this._cancelBtn.addEventListener("click", () => {
+			this._queue = [];
+			if (this._confirming) {
+				this._confirming(false);
+			} else if (this._running) {
+				this._handler.abortSlowType();
+			}
+		});
+	}
+
+	// Pastes at or above this many characters need confirmation (0 = always)
+	get confirmThreshold() { return this._confirmThreshold; }
+	set confirmThreshold(v) {
+		let n = parseInt(v);
+		this._confirmThreshold = isNaN(n) ? 200 : n;
+	}
+
+	get busy() { return this._running || !!this._confirming; }
+
+	paste(text) {
+		if (!text) return;
+		this._queue.push(text);
+		if (this.busy) {
+			this._renderStatus();
+		} else {
+			this._next();
+		}
+	}
+
+	_needsConfirm(text) {
+		return text.length >= this._confirmThreshold || /[\r\n]/.test(text);
+	}
+
+	async _next() {
+		let text = this._queue.shift();
+		if (text === undefined) {
+			this._el.classList.add("hidden");
+			return;
+		}
+
+		if (this._needsConfirm(text)) {
+			let ok = await this._confirm(text);
+			if (!ok) {
+				this._next();
+				return;
+			}
+		}
+
+		await this._run(text);
+		this._next();
+	}
+
+	_confirm(text) {
+		let lines = text.split(/\r\n|\r|\n/).length;
+		this._title.textContent = "Paste " + text.length + " characters" +
+			(lines > 1 ? " (" + lines + " lines)" : "") + "?";
+		this._preview.textContent = text.length > PREVIEW_MAX_CHARS
+			? text.slice(0, PREVIEW_MAX_CHARS) + "…"
+			: text;
+		this._preview.classList.remove("hidden");
+		this._progressBar.classList.add("hidden");
+		this._startBtn.textContent = "Paste";
+		this._startBtn.classList.remove("hidden");
+		this._pauseBtn.classList.add("hidden");
+		this._cancelBtn.textContent = "Cancel";
+		this._cancelBtn.classList.remove("hidden");
+		this._status.textContent = lines > 1 ? "Each line break presses Enter on the remote machine." : "";
+		this._el.classList.remove("hidden");
+		return this._waitForChoice();
+	}
+
+	// Outcome of a paste that needs attention; OK goes on with the queue,
+	// Cancel (shown while something is queued) drops it
+	_showResult(title, message) {
+		this._title.textContent = title;
+		this._status.textContent = message;
+		this._startBtn.textContent = "OK";
+		this._startBtn.classList.remove("hidden");
+		this._pauseBtn.classList.add("hidden");
+		this._cancelBtn.classList.toggle("hidden", !this._queue.length);
+		return this._waitForChoice();
+	}
+
+	_waitForChoice() {
+		return new Promise(resolve => {
+			this._confirming = (ok) => {
+				this._confirming = null;
+				resolve(ok);
+			};
+		});
+	}
+
+	async _run(text) {
+		this._running = true;
+		this._paused = false;
+		this._startTime = Date.now();
+		this._pausedTotal = 0;
+
+		this._title.textContent = "Pasting text";
+		this._preview.classList.add("hidden");
+		this._startBtn.classList.add("hidden");
+		this._pauseBtn.classList.remove("hidden");
+		this._pauseBtn.textContent = "Pause";
+		this._cancelBtn.classList.remove("hidden");
+		this._progressBar.classList.remove("hidden");
+		this._el.classList.remove("hidden");
+		this._updateProgress(0, Array.from(text).length);
+
+		let result;
+		try {
+			result = await this._handler.sendTextSlow(text);
+		} catch (e) {
+			console.warn("Paste failed:", e);
+			this._running = false;
+			await this._showResult("Paste failed",
+				"The PiKVM didn't accept the text (" + e.message + "). Part of it may have been typed.");
+			return;
+		}
+		this._running = false;
+		if (result.missing.length) {
+			await this._showResult("Some characters were not typed",
+				"Not available on the remote keyboard layout: " + [...new Set(result.missing)].join(" "));
+		}
+	}
+
+	_updateProgress(sent, total) {
+		this._sent = sent;
+		this._total = total;
+		let pct = total ? Math.round(sent / total * 100) : 100;
+		this._progressFill.style.width = pct + "%";
+		this._progressText.textContent = sent + " / " + total;
+		this._renderStatus();
+	}
+
+	_renderStatus() {
+		if (!this._running) return;
+		let parts = [];
+		if (this._paused) {
+			parts.push("Paused");
+		} else {
+			parts.push(_formatEta(this._estimateRemaining()) + " remaining");
+		}
+		if (this._queue.length) {
+			parts.push(this._queue.length + " queued");
+		}
+		this._status.textContent = parts.join(" · ");
+	}
+
+	_estimateRemaining() {
+		let remaining = this._total - this._sent;
+		if (this._sent === 0) return remaining * DEFAULT_CHAR_DELAY;
+		let elapsed = Date.now() - this._startTime - this._pausedTotal;
+		return elapsed / this._sent * remaining;
+	}
+}
+
+function _formatEta(ms) {
+	let secs = Math.ceil(ms / 1000);
+	if (secs < 60) return secs + "s";
+	return Math.floor(secs / 60) + "m " + (secs % 60) + "s";
+}
@@ -0,0 +1,99 @@
+"use strict";
+
+// Settings editor for host profiles (see profiles.js)
+
+import {readProfileSettings} from "../profiles.js";
+
+export class HostProfileEditorUI {
+	constructor(store) {
+		this._store = store;
+		this._profileSelect = document.getElementById("setting-host-profile");
+		this._profileNameInput = document.getElementById("host-profile-name");
+		this._gpioChannel = document.getElementById("setting-host-gpio-channel");
+		this._gpioOn = document.getElementById("setting-host-gpio-on");
+		this._gpioOff = document.getElementById("setting-host-gpio-off");
+		this._gpioChannels = [];
+		this._onSelect = null;
+
+		this._profileSelect.addEventListener("change", () => {
+			if (this._onSelect && this._profileSelect.value) this._onSelect(this._profileSelect.value);
+		});
+
+		document.getElementById("host-profile-save-btn").addEventListener("click", () => {
+			this._store.saveSettings(this._store.activeId, readProfileSettings());
+		});
+
+		document.getElementById("host-profile-add-btn").addEventListener("click", () => {
+			let name = this._profileNameInput.value.trim();
+			if (!name) return;
+			this._store.addProfile(name, readProfileSettings());
+			this._profileNameInput.value = "";
+		});
+
+		document.getElementById("host-profile-delete-btn").addEventListener("click", () => {
+			this._store.removeProfile(this._store.activeId);
+		});
+
+		document.getElementById("host-profile-reset-btn").addEventListener("click", () => {
+			this._store.resetDefaults();
+		});
+
+		for (let select of [this._gpioChannel, this._gpioOn, this._gpioOff]) {
+			select.addEventListener("change", () => {
+				this._store.gpio = {
+					channel: this._gpioChannel.value,
+					on: this._gpioOn.value,
+					off: this._gpioOff.value,
+				};
+			});
+		}
+
+		this.render();
+	}
+
+	// cb(id) when a profile is picked here; the caller applies it
+	set onSelect(cb) { this._onSelect = cb; }
+
+	// channels: [{channel, title}] from the GPIO model
+	setGpioChannels(channels) {
+		this._gpioChannels = channels;
+		this.render();
+	}
+
+	render() {
+		let profiles = this._store.profiles();
+		let activeId = this._store.activeId;
+
+		_fillSelect(this._profileSelect, [{id: "", name: "None (custom settings)"}].concat(profiles));
+		this._profileSelect.value = activeId;
+		document.getElementById("host-profile-save-btn").disabled = !activeId;
+		document.getElementById("host-profile-delete-btn").disabled = !activeId;
+
+		let gpio = this._store.gpio;
+		let channels = this._gpioChannels.map(c => ({id: c.channel, name: c.title}));
+		// Keep a configured channel selectable before the GPIO model arrives
+		if (gpio.channel && !channels.some(c => c.id === gpio.channel)) {
+			channels.push({id: gpio.channel, name: gpio.channel});
+		}
+		_fillSelect(this._gpioChannel, [{id: "", name: "Off"}].concat(channels));
+		this._gpioChannel.value = gpio.channel;
+
+		let choices = [{id: "", name: "Leave as is"}].concat(profiles);
+		_fillSelect(this._gpioOn, choices);
+		_fillSelect(this._gpioOff, choices);
+		this._gpioOn.value = gpio.on;
+		this._gpioOff.value = gpio.off;
+		this._gpioOn.disabled = !gpio.channel;
+		this._gpioOff.disabled = !gpio.channel;
+	}
+}
+
+function _fillSelect(select, items) {
+	select.innerHTML = "";
+	for (let item of items) {
+		let opt = document.createElement("option");
+		opt.value = item.id;
+		opt.textContent = item.name;
+		select.appendChild(opt);
+	}
+}
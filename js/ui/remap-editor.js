@@ -0,0 +1,71 @@
+"use strict";
+
+// Settings editor for physical keyboard shortcut remaps (see input/shortcuts.js)
+
+import {parseComboKeys} from "../input/combos.js";
+
+export class RemapEditorUI {
+	constructor(store) {
+		this._store = store;
+		this._list = document.getElementById("remap-list");
+		this._fromInput = document.getElementById("remap-add-from");
+		this._toInput = document.getElementById("remap-add-to");
+		this._error = document.getElementById("remap-add-error");
+
+		document.getElementById("remap-add-btn").addEventListener("click", () => this._addRemap());
+		document.getElementById("remap-reset-btn").addEventListener("click", () => {
+			this._store.resetDefaults();
+		});
+
+		this.render();
+	}
+
+	render() {
+		this._list.innerHTML = "";
+		let remaps = this._store.list();
+		if (remaps.length === 0) {
+			this._list.innerHTML = '<p class="text-muted">No shortcut remaps.</p>';
+		}
+		remaps.forEach((remap, i) => {
+			let row = document.createElement("div");
+			row.className = "combo-edit-row";
+
+			let label = document.createElement("span");
+			label.className = "combo-edit-label";
+			label.textContent = _formatChord(remap.from) + " → " + _formatChord(remap.to);
+
+			let removeBtn = document.createElement("button");
+			removeBtn.className = "btn btn-danger btn-sm";
+			removeBtn.textContent = "×";
+			removeBtn.addEventListener("click", () => this._store.remove(i));
+
+			row.append(label, removeBtn);
+			this._list.appendChild(row);
+		});
+	}
+
+	_addRemap() {
+		this._error.classList.add("hidden");
+		try {
+			this._store.add({
+				from: parseComboKeys(this._fromInput.value),
+				to: parseComboKeys(this._toInput.value),
+			});
+		} catch (e) {
+			this._error.textContent = e.message;
+			this._error.classList.remove("hidden");
+			return;
+		}
+		this._fromInput.value = "";
+		this._toInput.value = "";
+	}
+}
+
+// ["ControlLeft", "AltLeft", "KeyT"] -> "Ctrl+Alt+T"
+function _formatChord(keys) {
+	return keys.map(key => key
+		.replace(/^(Key|Digit)/, "")
+		.replace(/^Control/, "Ctrl")
+		.replace(/Left$/, "")
+	).join("+");
+}
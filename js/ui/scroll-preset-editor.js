@@ -0,0 +1,82 @@
+"use strict";
+
+// Settings editor for scroll widget presets (see ui/scroll-widget.js)
+
+import {PRESET_FIELDS} from "./scroll-widget.js";
+
+export class ScrollPresetEditorUI {
+	constructor(store, widget) {
+		this._store = store;
+		this._widget = widget;
+		this._presetSelect = document.getElementById("setting-scroll-preset");
+		this._fields = document.getElementById("scroll-preset-fields");
+		this._presetNameInput = document.getElementById("scroll-preset-name");
+
+		this._presetSelect.addEventListener("change", () => {
+			this._widget.preset = this._presetSelect.value;
+			this.render();
+		});
+
+		document.getElementById("scroll-preset-add-btn").addEventListener("click", () => {
+			let name = this._presetNameInput.value.trim();
+			if (!name) return;
+			let id = this._store.add(name, this._widget.preset);
+			this._widget.preset = id;
+			this._presetNameInput.value = "";
+			this.render();
+		});
+
+		document.getElementById("scroll-preset-delete-btn").addEventListener("click", () => {
+			this._store.remove(this._widget.preset);
+		});
+
+		document.getElementById("scroll-preset-reset-btn").addEventListener("click", () => {
+			this._store.resetDefaults();
+		});
+
+		this.render();
+	}
+
+	render() {
+		this._presetSelect.innerHTML = "";
+		for (let p of this._store.list()) {
+			let opt = document.createElement("option");
+			opt.value = p.id;
+			opt.textContent = p.name;
+			this._presetSelect.appendChild(opt);
+		}
+		this._presetSelect.value = this._widget.preset;
+
+		let preset = this._store.get(this._widget.preset);
+		this._fields.innerHTML = "";
+		for (let [field, f] of Object.entries(PRESET_FIELDS)) {
+			let row = document.createElement("div");
+			row.className = "setting-row";
+
+			let label = document.createElement("span");
+			label.textContent = f.name;
+
+			let range = document.createElement("div");
+			range.className = "setting-range-row";
+			let input = document.createElement("input");
+			input.type = "range";
+			input.className = "form-range";
+			input.min = f.min;
+			input.max = f.max;
+			input.step = f.step;
+			input.value = preset[field];
+			let value = document.createElement("span");
+			value.className = "setting-value";
+			value.textContent = preset[field] + f.unit;
+
+			input.addEventListener("input", () => {
+				value.textContent = input.value + f.unit;
+			});
+			input.addEventListener("change", () => this._store.set(this._widget.preset, field, input.value));
+
+			range.append(input, value);
+			row.append(label, range);
+			this._fields.appendChild(row);
+		}
+	}
+}
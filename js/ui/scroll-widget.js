@@ -7,21 +7,53 @@
 // - Past the dead zone, auto-repeat fires discrete scroll ticks.
 // - Further from center → shorter interval between ticks (faster scrolling).
 // - Over time, the interval also ramps down (acceleration).
-// - On release, the thumb springs back to center and scrolling stops.
+// - On release, the thumb springs back to center and scrolling stops, or
+//   coasts for a few slowing ticks if the preset asks for it. A touch stops it.
 //
-// Three presets control responsiveness:
+// Layouts:
+//   Vertical   — strip on the right edge, vertical wheel
+//   Horizontal — strip on the bottom edge, horizontal wheel
+//   Joystick   — round pad; the thumb direction picks one of 8 directions
+//
+// Three built-in presets control responsiveness (all editable in Settings,
+// and users can add their own):
 //   Fine   — wide dead zone, slow repeat, 1 unit/tick (BIOS menus)
 //   Normal — moderate settings, 2 units/tick
 //   Fast   — narrow dead zone, fast repeat, 4 units/tick (long documents)
 
-const PRESETS = {
-	fine:   {deadZone: 18, firstTick: 35, minInterval: 200, units: 1},
-	normal: {deadZone: 12, firstTick: 25, minInterval: 150, units: 2},
-	fast:   {deadZone: 8,  firstTick: 18, minInterval: 100, units: 4},
+import {getSetting, setSetting, cloneValue} from "../settings.js";
+
+const DEFAULT_PRESETS = {
+	fine:   {name: "Fine (BIOS / Menus)", deadZone: 18, firstTick: 35, minInterval: 200, units: 1, coast: 0},
+	normal: {name: "Normal",              deadZone: 12, firstTick: 25, minInterval: 150, units: 2, coast: 0},
+	fast:   {name: "Fast (Documents)",    deadZone: 8,  firstTick: 18, minInterval: 100, units: 4, coast: 5},
+};
+
+// Editable preset values and their limits
+export const PRESET_FIELDS = {
+	deadZone:    {name: "Dead zone", min: 4, max: 30, step: 1, unit: "px"},
+	firstTick:   {name: "First tick at", min: 8, max: 50, step: 1, unit: "px"},
+	minInterval: {name: "Fastest repeat", min: 30, max: 300, step: 10, unit: "ms"},
+	units:       {name: "Units per tick", min: 1, max: 10, step: 1, unit: ""},
+	coast:       {name: "Momentum ticks", min: 0, max: 10, step: 1, unit: ""},
+};
+
+export const WIDGET_LAYOUTS = {
+	vertical: "Vertical (right edge)",
+	horizontal: "Horizontal (bottom edge)",
+	joystick: "Joystick (2D)",
+};
+
+const LAYOUT_AXES = {
+	vertical: ["y"],
+	horizontal: ["x"],
+	joystick: ["x", "y"],
 };
 
 const MAX_INTERVAL = 300;    // ms — slowest repeat rate (at first tick threshold)
 const RAMP_DURATION = 1000;  // ms — time for time-based acceleration to reach minimum
+const COAST_SLOWDOWN = 1.4;  // interval growth per momentum tick
+const DIAGONAL_RATIO = 0.38; // sin(22.5°) — joystick component needed to count an axis
 
 // macOS host scroll boost — macOS applies aggressive acceleration that
 // makes small infrequent HID wheel events nearly invisible.  We compensate
@@ -30,34 +62,102 @@ const MAC_UNIT_MULTIPLIER = 3;  // multiply preset units
 const MAC_BURST_COUNT = 3;      // number of wheel events per tick
 const MAC_BURST_DELAY = 10;     // ms between burst events
 
+// Scroll presets: the built-ins plus user-defined ones, all editable
+export class ScrollPresetStore {
+	constructor() {
+		this._presets = cloneValue(DEFAULT_PRESETS);
+		this._onChange = null;
+		let saved = getSetting("scrollPresets");
+		if (saved && Object.keys(saved).length) this._presets = saved;
+	}
+
+	set onChange(cb) { this._onChange = cb; }
+
+	// [{id, name}]
+	list() {
+		return Object.entries(this._presets).map(([id, p]) => ({id: id, name: p.name}));
+	}
+
+	has(id) { return !!this._presets[id]; }
+
+	// Preset values with defaults filled in for anything missing
+	get(id) {
+		return Object.assign({}, DEFAULT_PRESETS.normal, this._presets[id]);
+	}
+
+	// New presets start as a copy of fromId
+	add(name, fromId) {
+		let id = "p" + Date.now().toString(36);
+		this._presets[id] = Object.assign(this.get(fromId), {name: name});
+		this._persist();
+		return id;
+	}
+
+	remove(id) {
+		if (Object.keys(this._presets).length <= 1) return;
+		delete this._presets[id];
+		this._persist();
+	}
+
+	set(id, field, value) {
+		let f = PRESET_FIELDS[field];
+		if (!f || !this._presets[id]) return;
+		let v = parseInt(value);
+		if (isNaN(v)) v = DEFAULT_PRESETS.normal[field];
+		this._presets[id][field] = Math.min(Math.max(v, f.min), f.max);
+		this._persist();
+	}
+
+	resetDefaults() {
+		this._presets = cloneValue(DEFAULT_PRESETS);
+		this._persist();
+	}
+
+	_persist() {
+		setSetting("scrollPresets", this._presets);
+		if (this._onChange) this._onChange();
+	}
+}
+
 export class ScrollWidget {
-	constructor(ws) {
+	constructor(ws, presets) {
 		this._ws = ws;
+		this._presets = presets;
 		this._widget = document.getElementById("scroll-widget");
 		this._thumb = document.getElementById("scroll-widget-thumb");
 
 		// Preset
-		this._preset = localStorage.getItem("pikvm.tablet.scrollPreset") || "normal";
+		this._preset = getSetting("scrollPreset");
+		if (!this._presets.has(this._preset)) this._preset = this._presets.list()[0].id;
+
+		// Layout: vertical strip, horizontal strip or joystick
+		this._layout = getSetting("scrollWidgetLayout");
+		this._applyLayout();
+
+		// Tick feedback: "both" (haptic + visual), "visual" or "off"
+		this._tickFeedback = getSetting("scrollTickFeedback");
 
 		// macOS host mode (boosts scroll output to overcome macOS acceleration curve)
-		this._macMode = localStorage.getItem("pikvm.tablet.macScroll") === "true";
+		this._macMode = getSetting("macScroll");
 
 		// Touch geometry (computed on touchstart from widget bounds)
-		this._centerY = 0;
+		this._center = {x: 0, y: 0};
 		this._trackHalf = 0;
 
 		// Live state
-		this._displacement = 0;
-		this._direction = 0;   // +1 (down) or -1 (up) or 0 (dead zone)
+		this._displacement = {x: 0, y: 0};
+		this._direction = {x: 0, y: 0}; // per axis: +1 (down/right), -1 (up/left) or 0
 		this._active = false;
 
 		// Auto-repeat
 		this._repeatTimer = null;
 		this._repeatStartTime = 0;
+		this._lastInterval = MAX_INTERVAL;
 		this._tickCount = 0;
+		this._coastTimer = null;
 
 		// Restore visibility
-		let hidden = localStorage.getItem("pikvm.tablet.scrollWidgetHidden") === "true";
+		let hidden = getSetting("scrollWidgetHidden");
 		if (hidden) {
 			this._widget.classList.add("hidden");
 		}
@@ -74,31 +174,45 @@ export class ScrollWidget {
 
 	get preset() { return this._preset; }
 	set preset(v) {
-		if (PRESETS[v]) {
+		if (this._presets.has(v)) {
 			this._preset = v;
-			localStorage.setItem("pikvm.tablet.scrollPreset", v);
+			setSetting("scrollPreset", v);
 		}
 	}
 
+	get layout() { return this._layout; }
+	set layout(v) {
+		if (!WIDGET_LAYOUTS[v]) return;
+		this._layout = v;
+		setSetting("scrollWidgetLayout", v);
+		this._applyLayout();
+	}
+
+	get tickFeedback() { return this._tickFeedback; }
+	set tickFeedback(v) {
+		this._tickFeedback = v;
+		setSetting("scrollTickFeedback", v);
+	}
+
 	// Keep setter for backwards compat — widget ignores it (presets control sensitivity)
 	set scrollSensitivity(_v) {}
 
 	get macMode() { return this._macMode; }
 	set macMode(v) {
 		this._macMode = !!v;
-		localStorage.setItem("pikvm.tablet.macScroll", this._macMode);
+		setSetting("macScroll", this._macMode);
 	}
 
 	get visible() { return !this._widget.classList.contains("hidden"); }
 
 	show() {
 		this._widget.classList.remove("hidden");
-		localStorage.setItem("pikvm.tablet.scrollWidgetHidden", "false");
+		setSetting("scrollWidgetHidden", false);
 	}
 
 	hide() {
 		this._widget.classList.add("hidden");
-		localStorage.setItem("pikvm.tablet.scrollWidgetHidden", "true");
+		setSetting("scrollWidgetHidden", true);
 	}
 
 	toggle() {
@@ -106,7 +220,13 @@ export class ScrollWidget {
 	}
 
 	_getPreset() {
-		return PRESETS[this._preset] || PRESETS.normal;
+		return this._presets.get(this._presets.has(this._preset) ? this._preset : "normal");
+	}
+
+	_applyLayout() {
+		this._widget.classList.toggle("horizontal", this._layout === "horizontal");
+		this._widget.classList.toggle("joystick", this._layout === "joystick");
+		this._thumb.style.transform = "translate(0, 0)";
 	}
 
 	// ── Touch handlers ──────────────────────────────────────────────
@@ -115,74 +235,93 @@ export class ScrollWidget {
 		ev.preventDefault();
 		ev.stopPropagation();
 		if (ev.touches.length !== 1) return;
+		this._stopCoast();
 
 		let rect = this._widget.getBoundingClientRect();
-		this._centerY = rect.top + rect.height / 2;
-		this._trackHalf = rect.height / 2 - 16; // inset from pill edges
+		this._center = {x: rect.left + rect.width / 2, y: rect.top + rect.height / 2};
+		let size = this._layout === "horizontal" ? rect.width
+			: this._layout === "vertical" ? rect.height
+			: Math.min(rect.width, rect.height);
+		this._trackHalf = size / 2 - 16; // inset from pill edges
 
 		this._active = true;
 		this._tickCount = 0;
 		this._widget.classList.add("active");
 		this._thumb.classList.remove("spring-back");
 
-		this._updateFromTouch(ev.touches[0].clientY);
+		this._updateFromTouch(ev.touches[0]);
 	}
 
 	_handleTouchMove(ev) {
 		ev.preventDefault();
 		ev.stopPropagation();
 		if (!this._active || ev.touches.length < 1) return;
-		this._updateFromTouch(ev.touches[0].clientY);
+		this._updateFromTouch(ev.touches[0]);
 	}
 
 	_handleTouchEnd(ev) {
 		ev.preventDefault();
 		ev.stopPropagation();
+		let coast = this._repeatTimer && this._getPreset().coast > 0;
+		let direction = this._direction;
 		this._active = false;
-		this._displacement = 0;
-		this._direction = 0;
+		this._displacement = {x: 0, y: 0};
+		this._direction = {x: 0, y: 0};
 		this._stopRepeat();
+		if (coast) this._startCoast(direction);
 
 		// Spring-back to center
 		this._thumb.classList.add("spring-back");
-		this._thumb.style.transform = "translateY(0)";
+		this._thumb.style.transform = "translate(0, 0)";
 
 		this._widget.classList.remove("active");
 	}
 
 	// ── Core displacement logic ─────────────────────────────────────
 
-	_updateFromTouch(clientY) {
-		let raw = clientY - this._centerY;
-		let clamped = Math.max(-this._trackHalf, Math.min(this._trackHalf, raw));
+	_updateFromTouch(touch) {
+		let axes = LAYOUT_AXES[this._layout];
+		let raw = {
+			x: axes.includes("x") ? touch.clientX - this._center.x : 0,
+			y: axes.includes("y") ? touch.clientY - this._center.y : 0,
+		};
+		// Keep the thumb on the track (a circle for the joystick)
+		let dist = Math.hypot(raw.x, raw.y);
+		let scale = dist > this._trackHalf ? this._trackHalf / dist : 1;
+		let clamped = {x: raw.x * scale, y: raw.y * scale};
 		this._displacement = clamped;
+		dist = Math.min(dist, this._trackHalf);
 
 		// Move thumb to follow finger
 		this._thumb.classList.remove("spring-back");
-		this._thumb.style.transform = "translateY(" + clamped + "px)";
+		this._thumb.style.transform = "translate(" + clamped.x + "px, " + clamped.y + "px)";
 
 		let preset = this._getPreset();
-		let absDist = Math.abs(clamped);
 
-		if (absDist < preset.deadZone) {
+		if (dist < preset.deadZone) {
 			// Inside dead zone — stop scrolling
 			this._stopRepeat();
-			this._direction = 0;
+			this._direction = {x: 0, y: 0};
 			return;
 		}
 
-		let newDir = clamped > 0 ? 1 : -1;
+		// An axis counts once its share of the displacement is large enough,
+		// which snaps the joystick to 8 directions
+		let newDir = {
+			x: Math.abs(clamped.x) >= dist * DIAGONAL_RATIO ? Math.sign(clamped.x) : 0,
+			y: Math.abs(clamped.y) >= dist * DIAGONAL_RATIO ? Math.sign(clamped.y) : 0,
+		};
 
-		// Direction reversal — reset acceleration
-		if (newDir !== this._direction) {
+		// Direction change — reset acceleration
+		if (newDir.x !== this._direction.x || newDir.y !== this._direction.y) {
 			this._direction = newDir;
 			this._tickCount = 0;
 			this._stopRepeat();
 		}
 
 		// Start auto-repeat when past firstTick threshold
-		if (absDist >= preset.firstTick && !this._repeatTimer) {
-			this._fireTick();
+		if (dist >= preset.firstTick && !this._repeatTimer) {
+			this._fireTick(this._direction);
 			this._repeatStartTime = Date.now();
 			this._scheduleNextTick();
 		}
@@ -192,7 +331,7 @@ export class ScrollWidget {
 
 	_computeInterval() {
 		let preset = this._getPreset();
-		let absDist = Math.abs(this._displacement);
+		let absDist = Math.hypot(this._displacement.x, this._displacement.y);
 
 		// Factor 1: displacement from center (further = faster)
 		// Maps [firstTick .. trackHalf] → [MAX_INTERVAL .. minInterval]
@@ -216,10 +355,11 @@ export class ScrollWidget {
 
 	_scheduleNextTick() {
 		let interval = this._computeInterval();
+		this._lastInterval = interval;
 		this._repeatTimer = setTimeout(() => {
 			this._repeatTimer = null;
-			if (!this._active || this._direction === 0) return;
-			this._fireTick();
+			if (!this._active || (!this._direction.x && !this._direction.y)) return;
+			this._fireTick(this._direction);
 			this._scheduleNextTick();
 		}, interval);
 	}
@@ -231,29 +371,56 @@ export class ScrollWidget {
 		}
 	}
 
-	_fireTick() {
+	// Momentum: keep ticking after release, slowing down each time
+	_startCoast(direction) {
+		let remaining = this._getPreset().coast;
+		let interval = this._lastInterval;
+		let next = () => {
+			interval *= COAST_SLOWDOWN;
+			this._coastTimer = setTimeout(() => {
+				this._coastTimer = null;
+				this._fireTick(direction);
+				remaining--;
+				if (remaining > 0) next();
+			}, interval);
+		};
+		next();
+	}
+
+	_stopCoast() {
+		if (this._coastTimer) {
+			clearTimeout(this._coastTimer);
+			this._coastTimer = null;
+		}
+	}
+
+	_fireTick(direction) {
 		let preset = this._getPreset();
-		let units = this._direction * preset.units;
+		let ux = direction.x * preset.units;
+		let uy = direction.y * preset.units;
 
 		if (this._macMode) {
 			// macOS boost: multiply units and send a rapid burst of events
-			let boosted = units * MAC_UNIT_MULTIPLIER;
-			this._ws.sendMouseWheel(0, boosted);
+			let bx = ux * MAC_UNIT_MULTIPLIER;
+			let by = uy * MAC_UNIT_MULTIPLIER;
+			this._ws.sendMouseWheel(bx, by);
 			for (let i = 1; i < MAC_BURST_COUNT; i++) {
-				setTimeout(() => this._ws.sendMouseWheel(0, boosted), i * MAC_BURST_DELAY);
+				setTimeout(() => this._ws.sendMouseWheel(bx, by), i * MAC_BURST_DELAY);
 			}
 		} else {
-			this._ws.sendMouseWheel(0, units);
+			this._ws.sendMouseWheel(ux, uy);
 		}
 		this._tickCount++;
 
+		if (this._tickFeedback === "off") return;
+
 		// Visual feedback: glow pulse on thumb
 		this._thumb.classList.remove("tick");
 		void this._thumb.offsetWidth; // force reflow to restart animation
 		this._thumb.classList.add("tick");
 
 		// Haptic feedback (mobile browsers)
-		if (navigator.vibrate) {
+		if (this._tickFeedback === "both" && navigator.vibrate) {
 			navigator.vibrate(8);
 		}
 	}
@@ -262,6 +429,7 @@ export class ScrollWidget {
 
 	destroy() {
 		this._stopRepeat();
+		this._stopCoast();
 		this._widget.removeEventListener("touchstart", this._onTouchStart);
 		this._widget.removeEventListener("touchmove", this._onTouchMove);
 		this._widget.removeEventListener("touchend", this._onTouchEnd);
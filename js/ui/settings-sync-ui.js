@@ -0,0 +1,51 @@
+"use strict";
+
+// Settings tab controls for server sync (see settings-sync.js): on/off,
+// status line, and a notice for conflicts and values that need a reload.
+
+export class SettingsSyncUI {
+	constructor(sync) {
+		this._sync = sync;
+		this._toggle = document.getElementById("setting-sync-toggle");
+		this._status = document.getElementById("settings-sync-status");
+		this._notice = document.getElementById("settings-sync-notice");
+		this._noticeText = document.getElementById("settings-sync-notice-text");
+		this._reloadBtn = document.getElementById("settings-sync-reload-btn");
+		this._syncNowBtn = document.getElementById("settings-sync-now-btn");
+
+		this._toggle.addEventListener("click", () => {
+			this._sync.enabled = !this._toggle.classList.contains("on");
+			this.render();
+		});
+		this._syncNowBtn.addEventListener("click", () => this._sync.sync());
+		this._reloadBtn.addEventListener("click", () => location.reload());
+		document.getElementById("settings-sync-dismiss-btn").addEventListener("click", () => {
+			this._sync.dismissNotice();
+		});
+
+		this.render();
+	}
+
+	render() {
+		let enabled = this._sync.enabled;
+		this._toggle.classList.toggle("on", enabled);
+		this._toggle.setAttribute("aria-checked", enabled ? "true" : "false");
+		this._syncNowBtn.disabled = !enabled;
+
+		let status = this._sync.status;
+		this._status.textContent = status.text;
+		this._status.classList.toggle("error", status.error);
+
+		let lines = [];
+		let conflicts = this._sync.conflicts;
+		if (conflicts.length) {
+			lines.push("Changed on this tablet and another one since the last sync: " + conflicts.join(", ") +
+				". The newer change was kept.");
+		}
+		let reload = this._sync.reloadNeeded;
+		if (reload) lines.push("Settings changed on another tablet. Reload to use them.");
+		this._noticeText.textContent = lines.join(" ");
+		this._reloadBtn.classList.toggle("hidden", !reload);
+		this._notice.classList.toggle("hidden", !lines.length);
+	}
+}
@@ -0,0 +1,115 @@
+"use strict";
+
+// Settings backup: export to a JSON file, import one with a preview of each
+// changed setting, and reset everything to defaults (see settings.js).
+//
+// Applying reloads the page so every module starts from the new values.
+
+import {exportSettings, defaultSettings, parseSettingsFile, diffSettings, applySettings} from "../settings.js";
+
+export class SettingsTransferUI {
+	constructor() {
+		this._fileInput = document.getElementById("settings-import-file");
+		this._error = document.getElementById("settings-import-error");
+		this._preview = document.getElementById("settings-preview");
+		this._previewTitle = document.getElementById("settings-preview-title");
+		this._previewChanges = document.getElementById("settings-preview-changes");
+		this._previewSkipped = document.getElementById("settings-preview-skipped");
+		this._applyBtn = document.getElementById("settings-preview-apply");
+		this._pending = null;
+
+		document.getElementById("settings-export-btn").addEventListener("click", () => this._export());
+
+		document.getElementById("settings-import-btn").addEventListener("click", () => {
+			this._error.classList.add("hidden");
+			this._fileInput.value = "";
+			this._fileInput.click();
+		});
+		this._fileInput.addEventListener("change", () => {
+			let file = this._fileInput.files[0];
+			if (file) this._import(file);
+		});
+
+		document.getElementById("settings-reset-btn").addEventListener("click", () => {
+			this._error.classList.add("hidden");
+			this._showPreview(defaultSettings(), [], "Reset to defaults");
+		});
+
+		this._applyBtn.addEventListener("click", () => {
+			applySettings(this._pending);
+			location.reload();
+		});
+		document.getElementById("settings-preview-cancel").addEventListener("click", () => {
+			this._pending = null;
+			this._preview.classList.add("hidden");
+		});
+	}
+
+	_export() {
+		let data = exportSettings();
+		let blob = new Blob([JSON.stringify(data, null, "\t")], {type: "application/json"});
+		let url = URL.createObjectURL(blob);
+		let link = document.createElement("a");
+		link.href = url;
+		link.download = "pikvm-tablet-settings-" + new Date().toISOString().slice(0, 10) + ".json";
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		// Safari starts reading the blob after click() returns
+		setTimeout(() => URL.revokeObjectURL(url), 1000);
+	}
+
+	async _import(file) {
+		let parsed;
+		try {
+			parsed = parseSettingsFile(await file.text());
+		} catch (e) {
+			this._error.textContent = e.message;
+			this._error.classList.remove("hidden");
+			return;
+		}
+		this._showPreview(parsed.settings, parsed.skipped, "Import " + file.name);
+	}
+
+	_showPreview(settings, skipped, title) {
+		let changes = diffSettings(settings);
+		this._pending = settings;
+
+		this._previewTitle.textContent = changes.length
+			? title + ": " + changes.length + (changes.length === 1 ? " setting changes" : " settings change")
+			: title + ": nothing changes";
+		this._previewChanges.innerHTML = "";
+		for (let change of changes) {
+			let row = document.createElement("div");
+			row.className = "settings-preview-row";
+
+			let key = document.createElement("span");
+			key.className = "settings-preview-key";
+			key.textContent = change.key;
+
+			let from = _formatValue(change.from);
+			let to = _formatValue(change.to);
+			let value = document.createElement("span");
+			value.className = "settings-preview-value";
+			value.textContent = from + " → " + (to === from ? to + " (edited)" : to);
+
+			row.append(key, value);
+			this._previewChanges.appendChild(row);
+		}
+
+		this._previewSkipped.textContent = skipped.length
+			? "Skipped: " + skipped.map(s => s.key + " (" + s.reason + ")").join(", ")
+			: "";
+		this._applyBtn.disabled = !changes.length;
+		this._preview.classList.remove("hidden");
+	}
+}
+
+function _formatValue(value) {
+	if (value === null) return "Default";
+	if (typeof value === "boolean") return value ? "On" : "Off";
+	if (Array.isArray(value)) return value.length + (value.length === 1 ? " entry" : " entries");
+	if (typeof value === "object") return "Custom";
+	if (value === "") return "None";
+	return String(value);
+}
@@ -10,10 +10,66 @@ export class TopBar {
 		this._captureBtn = document.getElementById("keyboard-capture-btn");
 		this._captureIndicator = this._captureBtn.querySelector(".capture-indicator");
 		this._zoomBtn = document.getElementById("zoom-toggle-btn");
+		this._reconnectBtn = document.getElementById("reconnect-btn");
+		this._kbLeds = document.querySelectorAll("#keyboard-leds .kb-led");
+		this._hidBanner = document.getElementById("hid-offline-banner");
+		this._releaseAllBtn = document.getElementById("release-all-btn");
+		this._capturePrompt = document.getElementById("capture-prompt");
+		this._capturePromptRemember = document.getElementById("capture-prompt-remember");
+		this._onCapturePromptAnswer = null;
+		this._hostProfileBtn = document.getElementById("host-profile-btn");
+		this._hostProfileMenu = document.getElementById("host-profile-menu");
+		this._onHostProfileSelect = null;
+		this._reconnectTimer = null;
+		this._onReconnectNow = null;
+		this._onReleaseAll = null;
+
+		this._reconnectBtn.addEventListener("click", () => {
+			if (this._onReconnectNow) this._onReconnectNow();
+		});
+
+		this._releaseAllBtn.addEventListener("click", () => {
+			if (this._onReleaseAll) this._onReleaseAll();
+		});
+
+		this._hostProfileBtn.addEventListener("click", (ev) => {
+			ev.stopPropagation();
+			this._hostProfileMenu.classList.toggle("hidden");
+		});
+		document.addEventListener("click", () => this._hostProfileMenu.classList.add("hidden"));
+
+		document.getElementById("capture-prompt-yes").addEventListener("click", () => this._answerCapturePrompt(true));
+		document.getElementById("capture-prompt-no").addEventListener("click", () => this._answerCapturePrompt(false));
+	}
+
+	set onReconnectNow(cb) { this._onReconnectNow = cb; }
+	// Panic button for stuck keys / mouse buttons
+	set onReleaseAll(cb) { this._onReleaseAll = cb; }
+	// cb(capture, remember) when the keyboard-detected prompt is answered
+	set onCapturePromptAnswer(cb) { this._onCapturePromptAnswer = cb; }
+	// cb(id) when a host profile is picked from the switcher
+	set onHostProfileSelect(cb) { this._onHostProfileSelect = cb; }
+
+	// profiles: [{id, name}]; activeId is "" when none is picked
+	setHostProfiles(profiles, activeId) {
+		let active = profiles.find(p => p.id === activeId);
+		this._hostProfileBtn.textContent = active ? active.name : "Host";
+		this._hostProfileMenu.innerHTML = "";
+		for (let p of profiles) {
+			let item = document.createElement("button");
+			item.textContent = p.name;
+			item.classList.toggle("active", p.id === activeId);
+			item.addEventListener("click", () => {
+				this._hostProfileMenu.classList.add("hidden");
+				if (this._onHostProfileSelect) this._onHostProfileSelect(p.id);
+			});
+			this._hostProfileMenu.appendChild(item);
+		}
 	}
 
 	setConnectionState(state) {
 		// state: "connected" | "connecting" | "disconnected"
+		this._stopReconnectCountdown();
 		this._connectionLed.className = "led";
 		switch (state) {
 			case "connected":
@@ -30,6 +86,28 @@ export class TopBar {
 		}
 	}
 
+	// info: {attempt, retryAt} from the WebSocket "reconnecting" event
+	setReconnecting(info) {
+		this.setConnectionState("disconnected");
+		this._connectionLed.title = "Disconnected (attempt " + info.attempt + ")";
+		this._reconnectBtn.classList.remove("hidden");
+
+		let update = () => {
+			let secs = Math.max(0, Math.ceil((info.retryAt - Date.now()) / 1000));
+			this._reconnectBtn.textContent = secs > 0 ? "Retry in " + secs + "s" : "Retrying...";
+		};
+		update();
+		this._reconnectTimer = setInterval(update, 1000);
+	}
+
+	_stopReconnectCountdown() {
+		if (this._reconnectTimer) {
+			clearInterval(this._reconnectTimer);
+			this._reconnectTimer = null;
+		}
+		this._reconnectBtn.classList.add("hidden");
+	}
+
 	setStreamInfo(mode, active, text) {
 		this._modeBadge.textContent = mode || "--";
 		if (text) {
@@ -49,10 +127,40 @@ export class TopBar {
 		}
 	}
 
+	// leds: {caps, num, scroll} from the hid event
+	setKeyboardLeds(leds) {
+		this._kbLeds.forEach(el => el.classList.toggle("on", !!leds[el.dataset.led]));
+	}
+
+	setHidState(keyboardOnline, mouseOnline) {
+		let text = "";
+		if (!keyboardOnline && !mouseOnline) {
+			text = "HID offline — keyboard and mouse input paused";
+		} else if (!keyboardOnline) {
+			text = "Keyboard offline — key input paused";
+		} else if (!mouseOnline) {
+			text = "Mouse offline — mouse input paused";
+		}
+		this._hidBanner.textContent = text;
+		this._hidBanner.classList.toggle("hidden", !text);
+	}
+
 	showCaptureButton(visible) {
 		this._captureBtn.classList.toggle("hidden", !visible);
 	}
 
+	showCapturePrompt() {
+		this._capturePromptRemember.checked = false;
+		this._capturePrompt.classList.remove("hidden");
+	}
+
+	_answerCapturePrompt(capture) {
+		this._capturePrompt.classList.add("hidden");
+		if (this._onCapturePromptAnswer) {
+			this._onCapturePromptAnswer(capture, this._capturePromptRemember.checked);
+		}
+	}
+
 	setZoomState(zoomed) {
 		this._zoomBtn.classList.toggle("active", zoomed);
 		this._zoomBtn.title = zoomed ? "Zoomed to 1:1 (click to fit)" : "Toggle 1:1 zoom";
@@ -4,6 +4,17 @@
 // Adapted from the binary HID event protocol in kvmd's session.js.
 // The desktop session.js is tightly coupled to the window manager and all subsystem
 // modules, so we implement our own connection/state layer with a simple event emitter.
+//
+// Events: "open", "close" (once per established connection), "reconnecting"
+// ({attempt, delay, retryAt}), "auth_expired", "state" and every kvmd event_type.
+
+import {apiAuthStatus} from "./api.js";
+
+// Reconnect backoff: the delay doubles per failed attempt up to the cap, and a
+// random jitter of up to half the delay keeps a fleet of tablets from retrying
+// in lockstep when a PiKVM reboots.
+const RECONNECT_BASE_DELAY = 1000; // ms
+const RECONNECT_MAX_DELAY = 30000; // ms
 
 export class KvmdWebSocket {
 	constructor() {
@@ -11,6 +22,8 @@ export class KvmdWebSocket {
 		this._pingTimer = null;
 		this._missedHeartbeats = 0;
 		this._reconnectTimer = null;
+		this._reconnectAttempt = 0;
+		this._opened = false;
 		this._stopped = false;
 		this._listeners = {};
 		this._asciiEncoder = new TextEncoder();
@@ -32,6 +45,7 @@ export class KvmdWebSocket {
 
 	connect() {
 		this._stopped = false;
+		this._reconnectAttempt = 0;
 		this._tryConnect();
 	}
 
@@ -40,6 +54,12 @@ export class KvmdWebSocket {
 		this._cleanup();
 	}
 
+	// Skip the remaining backoff delay and retry immediately
+	reconnectNow() {
+		if (this._stopped || this.connected) return;
+		this._tryConnect();
+	}
+
 	_tryConnect() {
 		if (this._stopped) return;
 		this._cleanup();
@@ -51,6 +71,8 @@ export class KvmdWebSocket {
 		this._ws.binaryType = "arraybuffer";
 
 		this._ws.onopen = () => {
+			this._opened = true;
+			this._reconnectAttempt = 0;
 			this._missedHeartbeats = 0;
 			this._pingTimer = setInterval(() => this._ping(), 1000);
 			this._emit("open");
@@ -74,7 +96,6 @@ export class KvmdWebSocket {
 		};
 
 		this._ws.onclose = () => {
-			this._emit("close");
 			this._scheduleReconnect();
 		};
 	}
@@ -114,10 +135,28 @@ export class KvmdWebSocket {
 
 	_scheduleReconnect() {
 		this._cleanup();
-		this._emit("close");
-		if (!this._stopped) {
-			this._reconnectTimer = setTimeout(() => this._tryConnect(), 1000);
+		if (this._opened) {
+			this._opened = false;
+			this._emit("close");
 		}
+		if (this._stopped) return;
+
+		// The browser hides the HTTP status of a rejected WebSocket handshake,
+		// so ask the auth endpoint whether the session is still valid. A network
+		// error (PiKVM rebooting) is not an auth failure — keep retrying.
+		apiAuthStatus().catch(() => 0).then(status => {
+			if (this._stopped || this._ws || this._reconnectTimer) return;
+			if (status === 401 || status === 403) {
+				this._stopped = true;
+				this._emit("auth_expired");
+				return;
+			}
+			let attempt = ++this._reconnectAttempt;
+			let delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, attempt - 1));
+			delay = Math.round(delay / 2 + Math.random() * delay / 2);
+			this._reconnectTimer = setTimeout(() => this._tryConnect(), delay);
+			this._emit("reconnecting", {attempt: attempt, delay: delay, retryAt: Date.now() + delay});
+		});
 	}
 
 	// --- HID Event Senders ---
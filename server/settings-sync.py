@@ -0,0 +1,203 @@
+#!/usr/bin/env python3
+#
+# Settings sync service for the tablet UI (see js/settings-sync.js).
+#
+# Keeps one JSON document of tablet settings per PiKVM user, by default in
+# sync/<user>.json under the tablet web root. A tablet uploads all its
+# settings with the time each one was last changed there; the upload is merged
+# into the stored document key by key, last write wins, and the merged
+# document is returned with the user it belongs to. Keys changed both by this
+# tablet and by another one since this tablet last synced are reported as
+# conflicts.
+#
+# nginx proxies /tablet/sync/ here (which also keeps the stored files from
+# being served directly). Requests need a valid kvmd session: the cookie is
+# checked with kvmd's own /auth/check over its unix socket, and the document
+# used is the one of the user kvmd names in its X-KVMD-User reply header;
+# the tablet doesn't name one. A kvmd that doesn't name the user gets no sync
+# at all rather than settings shared between accounts.
+#
+# Python standard library only, so it runs on a stock PiKVM:
+#   python3 settings-sync.py [--port 8091] [--data-dir DIR]
+
+import argparse
+import http.client
+import http.server
+import json
+import os
+import re
+import socket
+import tempfile
+
+USER_RE = re.compile(r"^[A-Za-z0-9_][A-Za-z0-9_.-]{0,63}$")
+TEST_USER = "test"  # stores everything under this name without kvmd checks
+MAX_BODY = 1024 * 1024
+KVMD_TIMEOUT = 5  # seconds
+
+DEFAULT_DATA_DIR = os.path.join(os.path.dirname(os.path.dirname(os.path.abspath(__file__))), "sync")
+
+
+class _UnixHTTPConnection(http.client.HTTPConnection):
+    def __init__(self, path):
+        super().__init__("localhost", timeout=KVMD_TIMEOUT)
+        self._path = path
+
+    def connect(self):
+        self.sock = socket.socket(socket.AF_UNIX, socket.SOCK_STREAM)
+        self.sock.settimeout(self.timeout)
+        self.sock.connect(self._path)
+
+
+class SessionError(Exception):
+    def __init__(self, status, message):
+        super().__init__(message)
+        self.status = status
+
+
+def kvmd_session_user(kvmd_socket, cookie):
+    """The user the session cookie belongs to; raises SessionError."""
+    conn = _UnixHTTPConnection(kvmd_socket)
+    try:
+        conn.request("GET", "/auth/check", headers={"Cookie": cookie or ""})
+        resp = conn.getresponse()
+        resp.read()
+    except (OSError, http.client.HTTPException) as e:
+        raise SessionError(502, "kvmd is not reachable: %s" % e)
+    finally:
+        conn.close()
+    if resp.status != 200:
+        raise SessionError(401, "Not signed in")
+    user = resp.getheader("X-KVMD-User") or ""
+    if not USER_RE.match(user):
+        raise SessionError(501, "kvmd doesn't report the signed-in user, so settings can't be kept per user")
+    return user
+
+
+def merge(stored, upload):
+    """Merge an upload into the stored document; returns (document, conflicts)."""
+    settings = dict(stored.get("settings", {}))
+    stamps = dict(stored.get("stamps", {}))
+    since = upload.get("since") or 0
+    upload_stamps = upload.get("stamps") or {}
+    conflicts = []
+
+    for key, value in upload["settings"].items():
+        new = upload_stamps.get(key) or 0
+        if key not in settings:
+            settings[key] = value
+            stamps[key] = new
+            continue
+        old = stamps.get(key) or 0
+        if settings[key] == value:
+            stamps[key] = max(old, new)
+            continue
+        # Changed on the uploading tablet and elsewhere since its last sync
+        if new > since and old > since:
+            conflicts.append(key)
+        if new > old:
+            settings[key] = value
+            stamps[key] = new
+
+    document = {
+        "format": upload.get("format") or stored.get("format"),
+        "version": max(upload.get("version") or 1, stored.get("version") or 1),
+        "settings": settings,
+        "stamps": stamps,
+        "updated": max(stamps.values(), default=0),
+    }
+    return document, conflicts
+
+
+class SyncHandler(http.server.BaseHTTPRequestHandler):
+    server_version = "TabletSettingsSync"
+
+    def do_POST(self):
+        if self.path.split("?")[0] != "/settings":
+            self._reply(404, {"error": "Not found"})
+            return
+        user = TEST_USER
+        if self.server.kvmd_socket:
+            try:
+                user = kvmd_session_user(self.server.kvmd_socket, self.headers.get("Cookie"))
+            except SessionError as e:
+                self._reply(e.status, {"error": str(e)})
+                return
+
+        length = int(self.headers.get("Content-Length") or 0)
+        if length > MAX_BODY:
+            self._reply(413, {"error": "Too large"})
+            return
+        try:
+            upload = json.loads(self.rfile.read(length))
+        except ValueError:
+            self._reply(400, {"error": "Invalid JSON"})
+            return
+        if not isinstance(upload, dict) or not isinstance(upload.get("settings"), dict):
+            self._reply(400, {"error": "Missing settings"})
+            return
+        # The tablet's since and change times were kept for another account
+        # (or none yet): its values then lose to everything stored here
+        if upload.get("sinceUser") and upload["sinceUser"] != user:
+            upload = dict(upload, since=0, stamps={})
+
+        path = os.path.join(self.server.data_dir, user + ".json")
+        stored = {}
+        try:
+            with open(path) as f:
+                stored = json.load(f)
+        except FileNotFoundError:
+            pass
+        except ValueError:
+            self.log_message("Replacing corrupt %s", path)
+
+        document, conflicts = merge(stored, upload)
+        if document != stored:
+            try:
+                _write_json(path, document)
+            except OSError as e:
+                self._reply(500, {"error": "Can't save settings: %s" % e})
+                return
+        self._reply(200, dict(document, user=user, conflicts=conflicts))
+
+    def _reply(self, status, data):
+        body = json.dumps(data).encode()
+        self.send_response(status)
+        self.send_header("Content-Type", "application/json")
+        self.send_header("Content-Length", str(len(body)))
+        self.send_header("Cache-Control", "no-store")
+        self.end_headers()
+        self.wfile.write(body)
+
+
+# Readers never see a half-written file
+def _write_json(path, data):
+    os.makedirs(os.path.dirname(path), exist_ok=True)
+    fd, tmp = tempfile.mkstemp(dir=os.path.dirname(path), suffix=".tmp")
+    try:
+        with os.fdopen(fd, "w") as f:
+            json.dump(data, f)
+        os.replace(tmp, path)
+    except BaseException:
+        os.unlink(tmp)
+        raise
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Settings sync service for the PiKVM tablet UI")
+    parser.add_argument("--host", default="127.0.0.1")
+    parser.add_argument("--port", type=int, default=8091)
+    parser.add_argument("--data-dir", default=DEFAULT_DATA_DIR)
+    parser.add_argument("--kvmd-socket", default="/run/kvmd/kvmd.sock",
+                        help="kvmd API socket for session checks; empty to skip them and store "
+                             "everything as user '%s' (testing only)" % TEST_USER)
+    args = parser.parse_args()
+
+    # One request at a time, so merges of the same user's file can't interleave
+    server = http.server.HTTPServer((args.host, args.port), SyncHandler)
+    server.data_dir = args.data_dir
+    server.kvmd_socket = args.kvmd_socket
+    server.serve_forever()
+
+
+if __name__ == "__main__":
+    main()